@@ -0,0 +1,594 @@
+// Type definitions for immutable-quadtrees
+//
+// Trees are Immutable Maps. Tree<T> carries the type of the items it holds,
+// so the functions below can hand the same type back from searches.
+
+import { List, Map, Seq } from 'immutable';
+
+/** 'top-left' and so on in the plane, 'front-top-left' and so on in space */
+export type Direction = string;
+
+/** The position and size keys an axis is read from, e.g. ['z', 'depth'] */
+export type Axis = [string, string];
+
+export type Path = List<Direction>;
+
+/** A boundary made by boundary() or box(), or any object with the same fields */
+export type BoundaryLike = Map<string, number> | {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  z?: number;
+  depth?: number;
+};
+
+/** A position made by position(), or any object with the same fields */
+export type PositionLike = Map<string, number> | {
+  x: number;
+  y: number;
+  z?: number;
+};
+
+export interface Bounds {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  /** The position and size on any other axes */
+  [key: string]: number;
+}
+
+export interface Options<T> {
+  maxChildren?: number;
+  maxDepth?: number;
+  /** Key of a unique id on every item, which enables get, has and removeById */
+  idKey?: string;
+  /** Lets quadrants hold items that hang over their edges by this factor, at least 1 */
+  loose?: number;
+  /** 'point' trees hold positions instead of boundaries */
+  mode?: 'boundary' | 'point';
+  /** Grow the tree towards items outside it instead of throwing */
+  growable?: boolean;
+  /** false skips the checks on items and nodes */
+  validate?: boolean;
+  /** Reads the geometry of an item, defaults to its x, y, width and height */
+  getBounds?: (item: T) => Bounds;
+  /** Called with each event insert, remove and clear cause */
+  onEvent?: (event: QuadtreeEvent<T>) => void;
+  /** Summaries kept up to date on every node, by name. count is always kept. */
+  aggregates?: { [name: string]: Aggregate<T, any> };
+  /** Key of an optional integer category bitmask on items, which enables { mask } in queries */
+  categoryKey?: string;
+  /** The axes nodes split along, [['x', 'width'], ['y', 'height']] unless given */
+  axes?: Axis[];
+}
+
+/** Folds items into a summary, and summaries of quadrants into their parent's */
+export interface Aggregate<T, R> {
+  initial: R;
+  reduce: (acc: R, item: T) => R;
+  combine: (a: R, b: R) => R;
+}
+
+/** A quadtree node holding items of type T */
+export interface Tree<T> extends Map<string, any> {
+  /** Never set, only there to carry the item type */
+  readonly __item?: T;
+}
+
+export type EventType = 'insert' | 'remove' | 'split' | 'merge' | 'overflow' | 'clear';
+
+/** Holds type, path, node, and item for events about an item */
+export interface QuadtreeEvent<T> extends Map<string, any> {
+  get(key: 'type'): EventType;
+  get(key: 'path'): Path;
+  get(key: 'node'): Tree<T>;
+  get(key: 'item'): T | undefined;
+  get(key: string, notSetValue?: any): any;
+}
+
+/** A changed tree and the events the change caused */
+export interface WithEvents<T> extends Map<string, any> {
+  get(key: 'tree'): Tree<T>;
+  get(key: 'events'): List<QuadtreeEvent<T>>;
+  get(key: string, notSetValue?: any): any;
+}
+
+/** The same, with the changed tree wrapped in a QuadtreeMap */
+export interface MapWithEvents<T> extends Map<string, any> {
+  get(key: 'tree'): QuadtreeMap<T>;
+  get(key: 'events'): List<QuadtreeEvent<T>>;
+  get(key: string, notSetValue?: any): any;
+}
+
+/** An item found by nearest and its distance from the point */
+export interface Neighbour<T> extends Map<string, any> {
+  get(key: 'item'): T;
+  get(key: 'distance'): number;
+  get(key: string, notSetValue?: any): any;
+}
+
+/** An item a ray hit, how far along the ray it was, and where */
+export interface Hit<T> extends Neighbour<T> {
+  get(key: 'item'): T;
+  get(key: 'distance'): number;
+  get(key: 'point'): Map<string, number>;
+  get(key: string, notSetValue?: any): any;
+}
+
+export interface RaycastOptions<T> extends NearestOptions<T> {
+  /** Return every hit in order instead of only the first */
+  all?: boolean;
+}
+
+/** An item a moving item hits, and when */
+export interface Impact<T> extends Map<string, any> {
+  get(key: 'item'): T;
+  get(key: 'time'): number;
+  get(key: string, notSetValue?: any): any;
+}
+
+export type Pair<T, U = T> = List<T | U>;
+
+/** Only items whose category shares a bit with mask are found */
+export interface MaskOptions {
+  mask?: number;
+}
+
+export interface NearestOptions<T> extends MaskOptions {
+  maxDistance?: number;
+  filter?: (item: T) => boolean;
+}
+
+export interface CollisionOptions<T, U = T> extends MaskOptions {
+  filter?: (a: T, b: U) => boolean;
+}
+
+export interface TraverseOptions {
+  order?: 'pre' | 'post' | 'bfs';
+}
+
+export type Visitor<T> = (node: Tree<T>, path: Path, depth: number) => boolean | void;
+
+export interface Mutable<T> {
+  insert(item: T): Mutable<T>;
+  batchInsert(items: Iterable<T> | T[]): Mutable<T>;
+  remove(item: T): Mutable<T>;
+  removeById(id: any): Mutable<T>;
+  update(oldItem: T, newItem: T): Mutable<T>;
+  clear(): Mutable<T>;
+  get(id: any): T | undefined;
+  has(id: any): boolean;
+  search(region: BoundaryLike): List<T>;
+}
+
+/** moved is matched by id, so it is always empty in trees without an idKey */
+export type Diff<T> = Map<'added' | 'removed' | 'moved', List<T>>;
+
+export type Stats = Map<string, number | List<number>>;
+
+export type Violation = Map<'path' | 'message', Path | string>;
+
+export interface QuadtreeJSON {
+  version: number;
+  maxChildren: number;
+  maxDepth: number;
+  depth: number;
+  options: object;
+  root: object;
+}
+
+export interface QuadtreeError<V = any> extends Error {
+  value: V;
+  fn: string;
+}
+
+export interface QuadtreeErrorConstructor {
+  new <V = any>(value: V, fn: string, message?: string): QuadtreeError<V>;
+  prototype: QuadtreeError;
+}
+
+export const InvalidItemError: QuadtreeErrorConstructor;
+export const InvalidNodeError: QuadtreeErrorConstructor;
+export const InvalidOptionsError: QuadtreeErrorConstructor;
+export const InvalidArgumentError: QuadtreeErrorConstructor;
+export const OutOfBoundsError: QuadtreeErrorConstructor;
+
+export function create<T = Map<string, any>>(
+  boundary: BoundaryLike,
+  maxChildren?: number,
+  maxDepth?: number,
+  options?: Options<T>
+): Tree<T>;
+export function create<T = Map<string, any>>(boundary: BoundaryLike, options: Options<T>): Tree<T>;
+
+export function insert<T>(tree: Tree<T>, item: T): Tree<T>;
+export function batchInsert<T>(tree: Tree<T>, items: Iterable<T> | T[]): Tree<T>;
+export function remove<T>(tree: Tree<T>, item: T): Tree<T>;
+export function removeById<T>(tree: Tree<T>, id: any): Tree<T>;
+export function update<T>(tree: Tree<T>, oldItem: T, newItem: T): Tree<T>;
+export function clear<T>(tree: Tree<T>): Tree<T>;
+export function insertWithEvents<T>(tree: Tree<T>, item: T): WithEvents<T>;
+export function batchInsertWithEvents<T>(tree: Tree<T>, items: Iterable<T> | T[]): WithEvents<T>;
+export function removeWithEvents<T>(tree: Tree<T>, item: T): WithEvents<T>;
+export function clearWithEvents<T>(tree: Tree<T>): WithEvents<T>;
+/** Builds the tree in one go, so onEvent is only called for later changes */
+export function fromItems<T>(
+  boundary: BoundaryLike,
+  items: Iterable<T> | T[],
+  options?: Options<T>
+): Tree<T>;
+export function withMutations<T>(tree: Tree<T>, fn: (mutable: Mutable<T>) => void): Tree<T>;
+
+export function get<T>(tree: Tree<T>, id: any): T | undefined;
+export function has<T>(tree: Tree<T>, id: any): boolean;
+
+export function search<T>(tree: Tree<T>, region: BoundaryLike, options?: MaskOptions): List<T>;
+export function searchRadius<T>(
+  tree: Tree<T>,
+  center: PositionLike,
+  radius: number,
+  options?: MaskOptions
+): List<T>;
+export function searchPoint<T>(tree: Tree<T>, point: PositionLike, options?: MaskOptions): List<T>;
+export function searchPolygon<T>(
+  tree: Tree<T>,
+  vertices: Iterable<PositionLike> | PositionLike[],
+  options?: MaskOptions
+): List<T>;
+export function searchSegment<T>(
+  tree: Tree<T>,
+  a: PositionLike,
+  b: PositionLike,
+  options?: MaskOptions
+): List<T>;
+export function raycast<T>(
+  tree: Tree<T>,
+  origin: PositionLike,
+  direction: PositionLike,
+  options?: RaycastOptions<T> & { all?: false }
+): Hit<T> | undefined;
+export function raycast<T>(
+  tree: Tree<T>,
+  origin: PositionLike,
+  direction: PositionLike,
+  options: RaycastOptions<T> & { all: true }
+): List<Hit<T>>;
+export function sweep<T>(
+  tree: Tree<T>,
+  item: T,
+  dt: number,
+  options?: MaskOptions & { filter?: (item: T) => boolean }
+): List<Impact<T>>;
+export function count<T>(tree: Tree<T>, region?: BoundaryLike): number;
+export function aggregate<T>(tree: Tree<T>, name: string, region?: BoundaryLike): any;
+export function densityGrid<T>(tree: Tree<T>, columns: number, rows: number): List<List<number>>;
+export function nearest<T>(
+  tree: Tree<T>,
+  point: PositionLike,
+  k?: number,
+  options?: NearestOptions<T>
+): List<Neighbour<T>>;
+export function collisions<T>(tree: Tree<T>, options?: CollisionOptions<T>): List<Pair<T>>;
+export function collisionsWith<T, U>(
+  tree: Tree<T>,
+  other: Tree<U>,
+  options?: CollisionOptions<T, U>
+): List<Pair<T, U>>;
+
+export function diff<T>(prev: Tree<T>, next: Tree<T>): Diff<T>;
+
+export function toJSON<T>(tree: Tree<T>): QuadtreeJSON;
+export function fromJSON<T = Map<string, any>>(json: QuadtreeJSON, options?: Options<T>): Tree<T>;
+export function toBuffer<T>(tree: Tree<T>): ArrayBuffer;
+export function fromBuffer<T = Map<string, any>>(
+  buffer: ArrayBuffer | ArrayBufferView,
+  options?: Options<T>
+): Tree<T>;
+
+export function nodes<T>(tree: Tree<T>): Seq.Indexed<Tree<T>>;
+export function items<T>(tree: Tree<T>): Seq.Indexed<T>;
+export function traverse<T>(tree: Tree<T>, visitor: Visitor<T>, options?: TraverseOptions): void;
+export function map<T, R>(tree: Tree<T>, fn: (item: T) => R): List<R>;
+export function filter<T>(tree: Tree<T>, predicate: (item: T) => boolean): List<T>;
+export function reduce<T, R>(tree: Tree<T>, fn: (acc: R, item: T) => R, initial?: R): R;
+
+export function stats<T>(tree: Tree<T>): Stats;
+export function validate<T>(tree: Tree<T>): List<Violation>;
+
+export function boundary(x?: number, y?: number, width?: number, height?: number): Map<string, number>;
+export function box(
+  x?: number,
+  y?: number,
+  z?: number,
+  width?: number,
+  height?: number,
+  depth?: number
+): Map<string, number>;
+export function position(x?: number, y?: number, z?: number): Map<string, number>;
+export function node<T = Map<string, any>>(
+  boundary: BoundaryLike,
+  maxChildren?: number,
+  maxDepth?: number,
+  depth?: number,
+  options?: Map<string, any>
+): Tree<T>;
+
+export const Node: {
+  isPointMode<T>(n: Tree<T>): boolean;
+  itemKeys<T>(n: Tree<T>): string[];
+  category<T>(n: Tree<T>, item: T): number;
+  inMask(mask: number | undefined, bits: number): boolean;
+  summarize<T>(n: Tree<T>): Tree<T>;
+  include<T>(n: Tree<T>, item: T): Tree<T>;
+  recombine<T>(n: Tree<T>): Tree<T>;
+  reducers<T>(n: Tree<T>): Map<string, Aggregate<T, any>>;
+  addChild<T>(n: Tree<T>, item: T): Tree<T>;
+  addOverlappingChild<T>(n: Tree<T>, item: T): Tree<T>;
+  hasChild<T>(n: Tree<T>, item: T, idKey?: string): boolean;
+  removeChild<T>(n: Tree<T>, item: T, idKey?: string): Tree<T>;
+  split<T>(n: Tree<T>): Tree<T>;
+  merge<T>(n: Tree<T>): Tree<T>;
+  clear<T>(n: Tree<T>): Tree<T>;
+  looseBoundary<T>(n: Tree<T>): Map<string, number>;
+  isLeaf<T>(n: Tree<T>): boolean;
+  isSplittable<T>(n: Tree<T>): boolean;
+  isMergeable<T>(n: Tree<T>): boolean;
+};
+
+export const Boundary: {
+  within<T = BoundaryLike>(
+    bound: BoundaryLike,
+    item: T,
+    getBounds?: (item: T) => Bounds,
+    axes?: Axis[]
+  ): boolean;
+  intersects<T = BoundaryLike>(
+    bound: BoundaryLike,
+    item: T,
+    getBounds?: (item: T) => Bounds,
+    axes?: Axis[]
+  ): boolean;
+  overlaps<T = BoundaryLike>(
+    bound: BoundaryLike,
+    item: T,
+    getBounds?: (item: T) => Bounds,
+    axes?: Axis[]
+  ): boolean;
+  distance(bound: BoundaryLike, point: PositionLike, axes?: Axis[]): number;
+  containsPoint(bound: BoundaryLike, point: PositionLike, axes?: Axis[]): boolean;
+  intersectsCircle(
+    bound: BoundaryLike,
+    center: PositionLike,
+    radius: number,
+    axes?: Axis[]
+  ): boolean;
+  intersectsPolygon(bound: BoundaryLike, vertices: Iterable<PositionLike> | PositionLike[]): boolean;
+  rayDistance(bound: BoundaryLike, origin: PositionLike, direction: PositionLike): number;
+  intersectsRay(
+    bound: BoundaryLike,
+    origin: PositionLike,
+    direction: PositionLike,
+    maxDistance?: number
+  ): boolean;
+  intersectsSegment(bound: BoundaryLike, a: PositionLike, b: PositionLike): boolean;
+  sweptBounds(bound: BoundaryLike, velocity: PositionLike, dt: number): Bounds;
+  timeOfImpact(moving: BoundaryLike, velocity: PositionLike, target: BoundaryLike): number;
+};
+
+export interface History<T> extends Map<string, any> {
+  readonly __item?: T;
+}
+
+export const QuadtreeHistory: {
+  create<T>(tree: Tree<T>, options?: { limit?: number }): History<T>;
+  generation<T>(history: History<T>): number;
+  current<T>(history: History<T>): Tree<T>;
+  at<T>(history: History<T>, generation: number): Tree<T> | undefined;
+  record<T>(history: History<T>, tree: Tree<T>): History<T>;
+  insert<T>(history: History<T>, item: T): History<T>;
+  batchInsert<T>(history: History<T>, items: Iterable<T> | T[]): History<T>;
+  clear<T>(history: History<T>): History<T>;
+  canUndo<T>(history: History<T>): boolean;
+  canRedo<T>(history: History<T>): boolean;
+  undo<T>(history: History<T>): History<T>;
+  redo<T>(history: History<T>): History<T>;
+};
+
+/** Chainable wrapper around the functions above. Every change returns a new instance. */
+export class QuadtreeMap<T = Map<string, any>> {
+  constructor(bounds: BoundaryLike, options?: Options<T>);
+
+  readonly tree: Tree<T>;
+
+  static of<T>(tree: Tree<T>): QuadtreeMap<T>;
+  static fromItems<T>(
+    bounds: BoundaryLike,
+    items: Iterable<T> | T[],
+    options?: Options<T>
+  ): QuadtreeMap<T>;
+  static fromJSON<T = Map<string, any>>(json: QuadtreeJSON, options?: Options<T>): QuadtreeMap<T>;
+  static fromBuffer<T = Map<string, any>>(
+    buffer: ArrayBuffer | ArrayBufferView,
+    options?: Options<T>
+  ): QuadtreeMap<T>;
+
+  wrap(tree: Tree<T>): QuadtreeMap<T>;
+
+  insert(item: T): QuadtreeMap<T>;
+  batchInsert(items: Iterable<T> | T[]): QuadtreeMap<T>;
+  remove(item: T): QuadtreeMap<T>;
+  removeById(id: any): QuadtreeMap<T>;
+  update(oldItem: T, newItem: T): QuadtreeMap<T>;
+  clear(): QuadtreeMap<T>;
+  withMutations(fn: (mutable: Mutable<T>) => void): QuadtreeMap<T>;
+  insertWithEvents(item: T): MapWithEvents<T>;
+  batchInsertWithEvents(items: Iterable<T> | T[]): MapWithEvents<T>;
+  removeWithEvents(item: T): MapWithEvents<T>;
+  clearWithEvents(): MapWithEvents<T>;
+
+  get(id: any): T | undefined;
+  has(id: any): boolean;
+  search(region: BoundaryLike, options?: MaskOptions): List<T>;
+  searchRadius(center: PositionLike, radius: number, options?: MaskOptions): List<T>;
+  searchPoint(point: PositionLike, options?: MaskOptions): List<T>;
+  searchPolygon(vertices: Iterable<PositionLike> | PositionLike[], options?: MaskOptions): List<T>;
+  searchSegment(a: PositionLike, b: PositionLike, options?: MaskOptions): List<T>;
+  raycast(
+    origin: PositionLike,
+    direction: PositionLike,
+    options?: RaycastOptions<T> & { all?: false }
+  ): Hit<T> | undefined;
+  raycast(
+    origin: PositionLike,
+    direction: PositionLike,
+    options: RaycastOptions<T> & { all: true }
+  ): List<Hit<T>>;
+  sweep(
+    item: T,
+    dt: number,
+    options?: MaskOptions & { filter?: (item: T) => boolean }
+  ): List<Impact<T>>;
+  nearest(point: PositionLike, k?: number, options?: NearestOptions<T>): List<Neighbour<T>>;
+  count(region?: BoundaryLike): number;
+  aggregate(name: string, region?: BoundaryLike): any;
+  densityGrid(columns: number, rows: number): List<List<number>>;
+  collisions(options?: CollisionOptions<T>): List<Pair<T>>;
+  collisionsWith<U>(
+    other: QuadtreeMap<U> | Tree<U>,
+    options?: CollisionOptions<T, U>
+  ): List<Pair<T, U>>;
+  diff(next: QuadtreeMap<T> | Tree<T>): Diff<T>;
+
+  items(): Seq.Indexed<T>;
+  nodes(): Seq.Indexed<Tree<T>>;
+  traverse(visitor: Visitor<T>, options?: TraverseOptions): this;
+  map<R>(fn: (item: T) => R): List<R>;
+  filter(predicate: (item: T) => boolean): List<T>;
+  reduce<R>(fn: (acc: R, item: T) => R, initial?: R): R;
+
+  stats(): Stats;
+  validate(): List<Violation>;
+  toJSON(): QuadtreeJSON;
+  toBuffer(): ArrayBuffer;
+}
+
+export const Quadtree: {
+  create: typeof create;
+  insert: typeof insert;
+  batchInsert: typeof batchInsert;
+  remove: typeof remove;
+  removeById: typeof removeById;
+  update: typeof update;
+  clear: typeof clear;
+  insertWithEvents: typeof insertWithEvents;
+  batchInsertWithEvents: typeof batchInsertWithEvents;
+  removeWithEvents: typeof removeWithEvents;
+  clearWithEvents: typeof clearWithEvents;
+  fromItems: typeof fromItems;
+  withMutations: typeof withMutations;
+  get: typeof get;
+  has: typeof has;
+  search: typeof search;
+  searchRadius: typeof searchRadius;
+  searchPoint: typeof searchPoint;
+  searchPolygon: typeof searchPolygon;
+  searchSegment: typeof searchSegment;
+  raycast: typeof raycast;
+  sweep: typeof sweep;
+  count: typeof count;
+  aggregate: typeof aggregate;
+  densityGrid: typeof densityGrid;
+  nearest: typeof nearest;
+  collisions: typeof collisions;
+  collisionsWith: typeof collisionsWith;
+  diff: typeof diff;
+  toJSON: typeof toJSON;
+  fromJSON: typeof fromJSON;
+  toBuffer: typeof toBuffer;
+  fromBuffer: typeof fromBuffer;
+  nodes: typeof nodes;
+  items: typeof items;
+  traverse: typeof traverse;
+  map: typeof map;
+  filter: typeof filter;
+  reduce: typeof reduce;
+  stats: typeof stats;
+  validate: typeof validate;
+  InvalidItemError: QuadtreeErrorConstructor;
+  InvalidNodeError: QuadtreeErrorConstructor;
+  InvalidOptionsError: QuadtreeErrorConstructor;
+  InvalidArgumentError: QuadtreeErrorConstructor;
+  OutOfBoundsError: QuadtreeErrorConstructor;
+};
+
+/** Quadtree's functions, for trees split along x, y and z into 8 children */
+export const Octree: {
+  create: typeof create;
+  fromItems: typeof fromItems;
+  insert: typeof insert;
+  insertWithEvents: typeof insertWithEvents;
+  remove: typeof remove;
+  removeWithEvents: typeof removeWithEvents;
+  removeById: typeof removeById;
+  update: typeof update;
+  get: typeof get;
+  has: typeof has;
+  search: typeof search;
+  searchRadius: typeof searchRadius;
+  searchPoint: typeof searchPoint;
+  nearest: typeof nearest;
+  count: typeof count;
+  aggregate: typeof aggregate;
+  collisions: typeof collisions;
+  collisionsWith: typeof collisionsWith;
+  clear: typeof clear;
+  clearWithEvents: typeof clearWithEvents;
+  batchInsert: typeof batchInsert;
+  batchInsertWithEvents: typeof batchInsertWithEvents;
+  withMutations: typeof withMutations;
+  diff: typeof diff;
+  toJSON: typeof toJSON;
+  fromJSON: typeof fromJSON;
+  nodes: typeof nodes;
+  items: typeof items;
+  traverse: typeof traverse;
+  map: typeof map;
+  filter: typeof filter;
+  reduce: typeof reduce;
+  stats: typeof stats;
+  validate: typeof validate;
+  InvalidItemError: QuadtreeErrorConstructor;
+  InvalidNodeError: QuadtreeErrorConstructor;
+  InvalidOptionsError: QuadtreeErrorConstructor;
+  InvalidArgumentError: QuadtreeErrorConstructor;
+  OutOfBoundsError: QuadtreeErrorConstructor;
+};
+
+/** A region quadtree node over a grid of cells of type V; leaves hold a value */
+export interface RegionTree<V> extends Map<string, any> {
+  /** Never set, only there to carry the value type */
+  readonly __value?: V;
+}
+
+/** Quadrants whose cells all hold the same value are kept as a single leaf */
+export const RegionQuadtree: {
+  /** grid is an array of equal rows, so a cell's value is grid[y][x] */
+  fromGrid<V>(grid: V[][]): RegionTree<V>;
+  valueAt<V>(tree: RegionTree<V>, x: number, y: number): V;
+  leafAt<V>(tree: RegionTree<V>, x: number, y: number): RegionTree<V>;
+  setCell<V>(tree: RegionTree<V>, x: number, y: number, value: V): RegionTree<V>;
+  fillRect<V>(
+    tree: RegionTree<V>,
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    value: V
+  ): RegionTree<V>;
+  toGrid<V>(tree: RegionTree<V>): V[][];
+  leaves<V>(tree: RegionTree<V>): List<RegionTree<V>>;
+  /** The leaves sharing an edge with leaf, not just a corner */
+  neighbors<V>(tree: RegionTree<V>, leaf: RegionTree<V>): List<RegionTree<V>>;
+};
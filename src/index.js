@@ -1,4 +1,28 @@
 import 'babel-polyfill';
 import Quadtree from './modules/quadtree.js';
+import QuadtreeHistory from './modules/history.js';
+import QuadtreeMap from './modules/facade.js';
+import Octree from './modules/octree.js';
+import RegionQuadtree from './modules/region.js';
+import Node from './modules/node.js';
+import Boundary from './modules/boundary.js';
+import boundary from './structs/boundary.js';
+import box from './structs/box.js';
+import position from './structs/position.js';
+import node from './structs/node.js';
 
-module.exports = Quadtree;
+// The Quadtree functions stay at the top level, so require('immutable-quadtrees')
+//   can still be used as the module object itself
+module.exports = Object.assign({}, Quadtree, {
+  Quadtree,
+  QuadtreeHistory,
+  QuadtreeMap,
+  Octree,
+  RegionQuadtree,
+  Node,
+  Boundary,
+  boundary,
+  box,
+  position,
+  node,
+});
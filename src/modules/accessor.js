@@ -0,0 +1,73 @@
+import { List as list, Map as map } from 'immutable';
+
+import Axes from './axes.js';
+
+const Accessor = (function Accessor() {
+  function read(value, key) {
+    // Immutable Maps are read with get, plain objects and class instances
+    //   by property
+    return map.isMap(value) ? value.get(key) : value[key];
+  }
+
+  function has(value, key) {
+    return map.isMap(value) ? value.has(key) : read(value, key) !== undefined;
+  }
+
+  function geometry(value, axes = Axes.PLANE) {
+    // The default accessor, used for boundaries, positions and items
+    //   in trees created without getBounds
+    if (axes === Axes.PLANE) {
+      return {
+        x: read(value, 'x'),
+        y: read(value, 'y'),
+        width: read(value, 'width'),
+        height: read(value, 'height'),
+      };
+    }
+
+    return Axes.keys(axes).reduce((acc, key) => (
+      Object.assign(acc, { [key]: read(value, key) })
+    ), {});
+  }
+
+  function getBounds(n) {
+    const axes = Axes.of(n);
+
+    return n.get('options').get('getBounds') ||
+      (axes === Axes.PLANE ? geometry : (value) => geometry(value, axes));
+  }
+
+  function of(n) {
+    // The accessor for the items of n. Points are measured as boundaries
+    //   with no size on any axis.
+    const accessor = getBounds(n);
+    const axes = Axes.of(n);
+
+    if (n.get('options').get('mode') !== 'point') {
+      return accessor;
+    }
+
+    if (axes === Axes.PLANE) {
+      return (item) => {
+        const { x, y } = accessor(item);
+
+        return { x, y, width: 0, height: 0 };
+      };
+    }
+
+    return (item) => list(axes).reduce(
+      (acc, [, size]) => Object.assign(acc, { [size]: 0 }),
+      Object.assign({}, accessor(item))
+    );
+  }
+
+  return {
+    read,
+    has,
+    geometry,
+    getBounds,
+    of,
+  };
+}());
+
+export default Accessor;
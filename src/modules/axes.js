@@ -0,0 +1,89 @@
+import check from 'check-types';
+import { List as list, Range as range, fromJS } from 'immutable';
+
+const Axes = (function Axes() {
+  // An axis is read from a position key and a size key. Trees default to
+  //   the plane, and trees created with { axes } keep theirs in their options
+  //   as a List, so trees with the same axes are equal. Everything here
+  //   takes axes as either arrays or Lists.
+  const PLANE = [['x', 'width'], ['y', 'height']];
+  const SPACE = [['x', 'width'], ['y', 'height'], ['z', 'depth']];
+  const SIDES = [['left', 'right'], ['top', 'bottom'], ['front', 'back']];
+
+  function of(n) {
+    const axes = n.get('options').get('axes');
+
+    return check.undefined(axes) ? PLANE : axes;
+  }
+
+  function normalize(axes) {
+    return fromJS(axes);
+  }
+
+  function keys(axes) {
+    return list(axes).flatMap(([position, size]) => [position, size]).toArray();
+  }
+
+  function positions(axes) {
+    return list(axes).map(([position]) => position).toArray();
+  }
+
+  function isPlane(axes) {
+    return axes === PLANE || keys(axes).join() === keys(PLANE).join();
+  }
+
+  function direction(axes, highs) {
+    // Children are named by their side on each axis, last axis first,
+    //   e.g. 'top-left' in the plane and 'front-top-left' in space.
+    //   Axes past the third are named after their position key.
+    return list(axes)
+      .map(([position], i) => {
+        const [low, high] = SIDES[i] || [`low-${position}`, `high-${position}`];
+
+        return highs[i] ? high : low;
+      })
+      .reverse()
+      .join('-');
+  }
+
+  function sides(axes, k) {
+    // Whether the kth child is on the high side of each axis, with the
+    //   first axis alternating fastest
+    return list(axes).map((axis, i) => Math.floor(k / Math.pow(2, i)) % 2 === 1).toArray();
+  }
+
+  function combinations(axes) {
+    const count = Math.pow(2, list(axes).count());
+
+    return range(0, count).map((k) => direction(axes, sides(axes, k))).toArray();
+  }
+
+  // Planar nodes are made on every split, so their children's names are kept
+  const PLANE_DIRECTIONS = combinations(PLANE);
+
+  function directions(axes) {
+    // Every child of a node, in order: 2 per axis, so 4 in the plane
+    //   and 8 in space
+    return axes === PLANE ? PLANE_DIRECTIONS : combinations(axes);
+  }
+
+  function directionsOf(n) {
+    return directions(of(n));
+  }
+
+  return {
+    PLANE,
+    SPACE,
+    of,
+    normalize,
+    keys,
+    positions,
+    isPlane,
+    direction,
+    sides,
+    directions,
+    directionsOf,
+  };
+}());
+
+export default Axes;
@@ -1,41 +1,153 @@
 import check from 'check-types';
+import { List as list } from 'immutable';
+
+import Accessor from './accessor.js';
+import Axes from './axes.js';
+import Errors from './errors.js';
+import Geometry from './geometry.js';
+import Validation from './validation.js';
 
 const Boundary = (function Boundary() {
-  function within(bound, item) {
-    check.assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => bound.has(key)))
-    , 'Missing boundary');
-    check.assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => item.has(key)))
-    , 'Missing boundary');
-
-    return (
-      item.get('x') >= bound.get('x') &&
-      item.get('x') + item.get('width') <= bound.get('x') + bound.get('width') &&
-      item.get('y') >= bound.get('y') &&
-      item.get('y') + item.get('height') <= bound.get('y') + bound.get('height')
+  // Geometry's predicates, checking their arguments first. Every bad
+  //   argument throws an InvalidArgumentError naming the predicate.
+
+  function checkBounds(value, fn, axes = Axes.PLANE) {
+    Validation.boundary(undefined, value, fn, Errors.InvalidArgumentError, axes);
+  }
+
+  function checkPoint(value, fn, axes = Axes.PLANE) {
+    Validation.position(undefined, value, fn, Errors.InvalidArgumentError, axes);
+  }
+
+  function pair(fn, bound, item, getBounds, axes) {
+    Validation.argument(check.function(getBounds), getBounds, fn, 'getBounds must be a function');
+    checkBounds(bound, fn, axes);
+    checkBounds(getBounds(item, axes), fn, axes);
+  }
+
+  function within(bound, item, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    pair('within', bound, item, getBounds, axes);
+
+    return Geometry.within(bound, item, getBounds, axes);
+  }
+
+  function intersects(bound1, bound2, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    pair('intersects', bound1, bound2, getBounds, axes);
+
+    return Geometry.intersects(bound1, bound2, getBounds, axes);
+  }
+
+  function overlaps(bound1, bound2, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    pair('overlaps', bound1, bound2, getBounds, axes);
+
+    return Geometry.overlaps(bound1, bound2, getBounds, axes);
+  }
+
+  function distance(bound, point, axes = Axes.PLANE) {
+    checkBounds(bound, 'distance', axes);
+    checkPoint(point, 'distance', axes);
+
+    return Geometry.distance(bound, point, axes);
+  }
+
+  function containsPoint(bound, point, axes = Axes.PLANE) {
+    checkBounds(bound, 'containsPoint', axes);
+    checkPoint(point, 'containsPoint', axes);
+
+    return Geometry.containsPoint(bound, point, axes);
+  }
+
+  function intersectsCircle(bound, point, radius, axes = Axes.PLANE) {
+    checkBounds(bound, 'intersectsCircle', axes);
+    checkPoint(point, 'intersectsCircle', axes);
+    Validation.argument(
+      check.number(radius) && radius >= 0,
+      radius,
+      'intersectsCircle',
+      'radius must be a non-negative number'
+    );
+
+    return Geometry.intersectsCircle(bound, point, radius, axes);
+  }
+
+  function intersectsPolygon(bound, vertices) {
+    checkBounds(bound, 'intersectsPolygon');
+    Validation.argument(
+      check.iterable(vertices) && list(vertices).count() >= 3,
+      vertices,
+      'intersectsPolygon',
+      'A polygon needs at least 3 vertices'
     );
+    list(vertices).forEach((v) => checkPoint(v, 'intersectsPolygon'));
+
+    return Geometry.intersectsPolygon(bound, vertices);
   }
 
-  function intersects(bound1, bound2) {
-    check.assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => bound1.has(key)))
-    , 'Missing boundary');
-    check.assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => bound2.has(key)))
-    , 'Missing boundary');
+  function ray(fn, bound, origin, direction) {
+    checkBounds(bound, fn);
+    checkPoint(origin, fn);
+    checkPoint(direction, fn);
+
+    const { x, y } = Accessor.geometry(direction);
+
+    Validation.argument(x !== 0 || y !== 0, direction, fn, 'direction must not be zero');
+  }
+
+  function rayDistance(bound, origin, direction) {
+    ray('rayDistance', bound, origin, direction);
+
+    return Geometry.rayDistance(bound, origin, direction);
+  }
 
-    return (
-      bound1.get('x') < bound2.get('x') + bound2.get('width') &&
-      bound1.get('x') + bound1.get('width') > bound2.get('x') &&
-      bound1.get('y') < bound2.get('y') + bound2.get('height') &&
-      bound1.get('y') + bound1.get('height') > bound2.get('y')
+  function intersectsRay(bound, origin, direction, maxDistance = Infinity) {
+    ray('intersectsRay', bound, origin, direction);
+    Validation.argument(
+      check.number(maxDistance) || maxDistance === Infinity,
+      maxDistance,
+      'intersectsRay',
+      'maxDistance must be a number'
     );
+
+    return Geometry.intersectsRay(bound, origin, direction, maxDistance);
+  }
+
+  function intersectsSegment(bound, a, b) {
+    checkBounds(bound, 'intersectsSegment');
+    checkPoint(a, 'intersectsSegment');
+    checkPoint(b, 'intersectsSegment');
+
+    return Geometry.intersectsSegment(bound, a, b);
+  }
+
+  function sweptBounds(bound, velocity, dt) {
+    checkBounds(bound, 'sweptBounds');
+    checkPoint(velocity, 'sweptBounds');
+    Validation.argument(check.number(dt), dt, 'sweptBounds', 'dt must be a number');
+
+    return Geometry.sweptBounds(bound, velocity, dt);
+  }
+
+  function timeOfImpact(moving, velocity, target) {
+    checkBounds(moving, 'timeOfImpact');
+    checkPoint(velocity, 'timeOfImpact');
+    checkBounds(target, 'timeOfImpact');
+
+    return Geometry.timeOfImpact(moving, velocity, target);
   }
 
   return {
     within,
     intersects,
+    overlaps,
+    distance,
+    containsPoint,
+    intersectsCircle,
+    intersectsPolygon,
+    rayDistance,
+    intersectsRay,
+    intersectsSegment,
+    sweptBounds,
+    timeOfImpact,
   };
 }());
 
@@ -0,0 +1,60 @@
+const Errors = (function Errors() {
+  // Babel can't subclass Error with the class keyword,
+  //   so errors are built the ES5 way to keep instanceof working.
+  //   Every error carries the offending value and the function it was
+  //   passed to.
+  function define(name, defaultMessage) {
+    function QuadtreeError(value, fn, message = defaultMessage) {
+      this.name = name;
+      this.value = value;
+      this.fn = fn;
+      this.message = `${message} (in ${fn})`;
+      this.stack = (new Error(this.message)).stack;
+    }
+
+    QuadtreeError.prototype = Object.create(Error.prototype, {
+      constructor: {
+        value: QuadtreeError,
+        writable: true,
+        configurable: true,
+      },
+    });
+
+    return QuadtreeError;
+  }
+
+  const InvalidItemError = define(
+    'InvalidItemError',
+    'Invalid item'
+  );
+
+  const InvalidNodeError = define(
+    'InvalidNodeError',
+    'Invalid node'
+  );
+
+  const InvalidOptionsError = define(
+    'InvalidOptionsError',
+    'Invalid options'
+  );
+
+  const InvalidArgumentError = define(
+    'InvalidArgumentError',
+    'Invalid argument'
+  );
+
+  const OutOfBoundsError = define(
+    'OutOfBoundsError',
+    'Item lies outside the tree boundary'
+  );
+
+  return {
+    InvalidItemError,
+    InvalidNodeError,
+    InvalidOptionsError,
+    InvalidArgumentError,
+    OutOfBoundsError,
+  };
+}());
+
+export default Errors;
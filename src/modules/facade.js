@@ -0,0 +1,195 @@
+import Quadtree from './quadtree.js';
+import Validation from './validation.js';
+
+function wrapEvents(quadtree, result) {
+  // The *WithEvents functions hand back { tree, events }, with the tree wrapped
+  return result.set('tree', quadtree.wrap(result.get('tree')));
+}
+
+// A chainable wrapper around the Quadtree functions for code that prefers
+//   methods. Every change returns a new QuadtreeMap, leaving this one as it was.
+class QuadtreeMap {
+  constructor(bounds, opts = {}) {
+    this.tree = Quadtree.create(bounds, opts);
+    Object.freeze(this);
+  }
+
+  static of(tree) {
+    // Wrap a tree made by the Quadtree functions without copying it
+    Validation.node(tree, 'of');
+
+    return Object.freeze(Object.assign(Object.create(QuadtreeMap.prototype), { tree }));
+  }
+
+  static fromItems(bounds, items, opts = {}) {
+    return QuadtreeMap.of(Quadtree.fromItems(bounds, items, opts));
+  }
+
+  static fromJSON(json, opts = {}) {
+    return QuadtreeMap.of(Quadtree.fromJSON(json, opts));
+  }
+
+  static fromBuffer(buffer, opts = {}) {
+    return QuadtreeMap.of(Quadtree.fromBuffer(buffer, opts));
+  }
+
+  wrap(tree) {
+    return tree === this.tree ? this : QuadtreeMap.of(tree);
+  }
+
+  insert(item) {
+    return this.wrap(Quadtree.insert(this.tree, item));
+  }
+
+  batchInsert(items) {
+    return this.wrap(Quadtree.batchInsert(this.tree, items));
+  }
+
+  remove(item) {
+    return this.wrap(Quadtree.remove(this.tree, item));
+  }
+
+  removeById(id) {
+    return this.wrap(Quadtree.removeById(this.tree, id));
+  }
+
+  update(oldItem, newItem) {
+    return this.wrap(Quadtree.update(this.tree, oldItem, newItem));
+  }
+
+  clear() {
+    return this.wrap(Quadtree.clear(this.tree));
+  }
+
+  withMutations(fn) {
+    return this.wrap(Quadtree.withMutations(this.tree, fn));
+  }
+
+  insertWithEvents(item) {
+    return wrapEvents(this, Quadtree.insertWithEvents(this.tree, item));
+  }
+
+  batchInsertWithEvents(items) {
+    return wrapEvents(this, Quadtree.batchInsertWithEvents(this.tree, items));
+  }
+
+  removeWithEvents(item) {
+    return wrapEvents(this, Quadtree.removeWithEvents(this.tree, item));
+  }
+
+  clearWithEvents() {
+    return wrapEvents(this, Quadtree.clearWithEvents(this.tree));
+  }
+
+  get(id) {
+    return Quadtree.get(this.tree, id);
+  }
+
+  has(id) {
+    return Quadtree.has(this.tree, id);
+  }
+
+  search(region, opts = {}) {
+    return Quadtree.search(this.tree, region, opts);
+  }
+
+  searchRadius(center, radius, opts = {}) {
+    return Quadtree.searchRadius(this.tree, center, radius, opts);
+  }
+
+  searchPoint(point, opts = {}) {
+    return Quadtree.searchPoint(this.tree, point, opts);
+  }
+
+  searchPolygon(vertices, opts = {}) {
+    return Quadtree.searchPolygon(this.tree, vertices, opts);
+  }
+
+  searchSegment(a, b, opts = {}) {
+    return Quadtree.searchSegment(this.tree, a, b, opts);
+  }
+
+  raycast(origin, direction, opts = {}) {
+    return Quadtree.raycast(this.tree, origin, direction, opts);
+  }
+
+  sweep(item, dt, opts = {}) {
+    return Quadtree.sweep(this.tree, item, dt, opts);
+  }
+
+  nearest(point, k = 1, opts = {}) {
+    return Quadtree.nearest(this.tree, point, k, opts);
+  }
+
+  count(region) {
+    return Quadtree.count(this.tree, region);
+  }
+
+  aggregate(name, region) {
+    return Quadtree.aggregate(this.tree, name, region);
+  }
+
+  densityGrid(columns, rows) {
+    return Quadtree.densityGrid(this.tree, columns, rows);
+  }
+
+  collisions(opts = {}) {
+    return Quadtree.collisions(this.tree, opts);
+  }
+
+  collisionsWith(other, opts = {}) {
+    const tree = other instanceof QuadtreeMap ? other.tree : other;
+
+    return Quadtree.collisionsWith(this.tree, tree, opts);
+  }
+
+  diff(next) {
+    const tree = next instanceof QuadtreeMap ? next.tree : next;
+
+    return Quadtree.diff(this.tree, tree);
+  }
+
+  items() {
+    return Quadtree.items(this.tree);
+  }
+
+  nodes() {
+    return Quadtree.nodes(this.tree);
+  }
+
+  traverse(visitor, opts = {}) {
+    Quadtree.traverse(this.tree, visitor, opts);
+
+    return this;
+  }
+
+  map(fn) {
+    return Quadtree.map(this.tree, fn);
+  }
+
+  filter(predicate) {
+    return Quadtree.filter(this.tree, predicate);
+  }
+
+  reduce(fn, initial) {
+    return Quadtree.reduce(this.tree, fn, initial);
+  }
+
+  stats() {
+    return Quadtree.stats(this.tree);
+  }
+
+  validate() {
+    return Quadtree.validate(this.tree);
+  }
+
+  toJSON() {
+    return Quadtree.toJSON(this.tree);
+  }
+
+  toBuffer() {
+    return Quadtree.toBuffer(this.tree);
+  }
+}
+
+export default QuadtreeMap;
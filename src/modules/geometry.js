@@ -0,0 +1,288 @@
+import { List as list } from 'immutable';
+
+import Accessor from './accessor.js';
+import Axes from './axes.js';
+
+const Geometry = (function Geometry() {
+  // The predicates behind Boundary. They don't check their arguments, since
+  //   they run for every node an insert or search visits, so Quadtree
+  //   validates at its entry points and calls them directly.
+  //   Boundaries and positions may be Immutable Maps or plain objects, and
+  //   items are read with getBounds, which defaults to the same. Predicates
+  //   that take axes work in any number of dimensions; the rest are planar.
+
+  const { read } = Accessor;
+
+  // Boundaries are read where they are rather than copied, since these run
+  //   in the innermost loop of every query. Planar ones get their own path,
+  //   without a callback per axis.
+  function itemBounds(item, getBounds, axes) {
+    return getBounds === Accessor.geometry ? item : getBounds(item, axes);
+  }
+
+  function within(bound, item, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    const i = itemBounds(item, getBounds, axes);
+
+    if (axes === Axes.PLANE) {
+      const x = read(i, 'x');
+      const y = read(i, 'y');
+      const bx = read(bound, 'x');
+      const by = read(bound, 'y');
+
+      return x >= bx && x + read(i, 'width') <= bx + read(bound, 'width') &&
+        y >= by && y + read(i, 'height') <= by + read(bound, 'height');
+    }
+
+    return axes.every(([p, size]) => (
+      read(i, p) >= read(bound, p) &&
+      read(i, p) + read(i, size) <= read(bound, p) + read(bound, size)
+    ));
+  }
+
+  function intersects(bound1, bound2, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    const b = itemBounds(bound2, getBounds, axes);
+
+    if (axes === Axes.PLANE) {
+      const ax = read(bound1, 'x');
+      const ay = read(bound1, 'y');
+      const bx = read(b, 'x');
+      const by = read(b, 'y');
+
+      return ax < bx + read(b, 'width') && ax + read(bound1, 'width') > bx &&
+        ay < by + read(b, 'height') && ay + read(bound1, 'height') > by;
+    }
+
+    return axes.every(([p, size]) => (
+      read(bound1, p) < read(b, p) + read(b, size) &&
+      read(bound1, p) + read(bound1, size) > read(b, p)
+    ));
+  }
+
+  function overlaps(bound1, bound2, getBounds = Accessor.geometry, axes = Axes.PLANE) {
+    const b = itemBounds(bound2, getBounds, axes);
+
+    // Like intersects, but boundaries that only share an edge also overlap
+    if (axes === Axes.PLANE) {
+      const ax = read(bound1, 'x');
+      const ay = read(bound1, 'y');
+      const bx = read(b, 'x');
+      const by = read(b, 'y');
+
+      return ax <= bx + read(b, 'width') && ax + read(bound1, 'width') >= bx &&
+        ay <= by + read(b, 'height') && ay + read(bound1, 'height') >= by;
+    }
+
+    return axes.every(([p, size]) => (
+      read(bound1, p) <= read(b, p) + read(b, size) &&
+      read(bound1, p) + read(bound1, size) >= read(b, p)
+    ));
+  }
+
+  function gap(bound, point, p, size) {
+    // How far the point lies outside the boundary along one axis
+    const start = read(bound, p);
+    const q = read(point, p);
+
+    return Math.max(start - q, 0, q - (start + read(bound, size)));
+  }
+
+  function distance(bound, point, axes = Axes.PLANE) {
+    // Distance from the point to the closest edge of the boundary,
+    //   or 0 if the point lies inside it
+    if (axes === Axes.PLANE) {
+      const dx = gap(bound, point, 'x', 'width');
+      const dy = gap(bound, point, 'y', 'height');
+
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    return Math.sqrt(axes.reduce((acc, [p, size]) => {
+      const d = gap(bound, point, p, size);
+
+      return acc + d * d;
+    }, 0));
+  }
+
+  function containsPoint(bound, point, axes = Axes.PLANE) {
+    // Points on the edge of a boundary are inside it
+    if (axes === Axes.PLANE) {
+      return gap(bound, point, 'x', 'width') === 0 && gap(bound, point, 'y', 'height') === 0;
+    }
+
+    return axes.every(([p, size]) => gap(bound, point, p, size) === 0);
+  }
+
+  function intersectsCircle(bound, center, radius, axes = Axes.PLANE) {
+    // The circle, or sphere past the plane, reaches the boundary when its
+    //   center is no further than radius from the closest edge
+    return distance(bound, center, axes) <= radius;
+  }
+
+  function polygonContains(vertices, point) {
+    // Cast a ray to the right of the point and count the edges it crosses
+    const px = point.x;
+    const py = point.y;
+
+    return vertices.reduce((inside, a, i) => {
+      const b = vertices.get((i + 1) % vertices.count());
+
+      const crosses = (a.y > py) !== (b.y > py) &&
+        px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x;
+
+      return crosses ? !inside : inside;
+    }, false);
+  }
+
+  function segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (
+      (p.x - o.x) * (q.y - o.y) -
+      (p.y - o.y) * (q.x - o.x)
+    );
+
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) &&
+      d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+  }
+
+  function corners(bound) {
+    const { x, y, width, height } = Accessor.geometry(bound);
+
+    return list.of(
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    );
+  }
+
+  function intersectsPolygon(bound, vertices) {
+    const polygon = list(vertices).map((v) => Accessor.geometry(v));
+    const rect = corners(bound);
+
+    // A boundary and a polygon overlap when one holds a corner of the other,
+    //   or when their edges cross
+    if (polygon.some((v) => containsPoint(bound, v))) {
+      return true;
+    }
+
+    if (rect.some((c) => polygonContains(polygon, c))) {
+      return true;
+    }
+
+    const edges = (l) => l.map((v, i) => [v, l.get((i + 1) % l.count())]);
+
+    return edges(polygon).some(([a, b]) => (
+      edges(rect).some(([c, d]) => segmentsIntersect(a, b, c, d))
+    ));
+  }
+
+  function slab(bound, origin, direction, edges = true) {
+    // How far along direction, in multiples of it, the ray from origin
+    //   enters the boundary: 0 if it starts inside, Infinity if it misses.
+    //   Without edges, a ray that only runs along or away from the edge
+    //   misses, since it never gets inside.
+    const b = Accessor.geometry(bound);
+    const o = Accessor.geometry(origin);
+    const d = Accessor.geometry(direction);
+
+    const axis = (start, size, from, step) => {
+      // A ray parallel to the axis is either always or never between the edges
+      if (step === 0) {
+        const between = edges
+          ? from >= start && from <= start + size
+          : from > start && from < start + size;
+
+        return between ? [-Infinity, Infinity] : [Infinity, -Infinity];
+      }
+
+      const t1 = (start - from) / step;
+      const t2 = (start + size - from) / step;
+
+      return [Math.min(t1, t2), Math.max(t1, t2)];
+    };
+
+    const [xNear, xFar] = axis(b.x, b.width, o.x, d.x);
+    const [yNear, yFar] = axis(b.y, b.height, o.y, d.y);
+    const near = Math.max(xNear, yNear, 0);
+    const far = Math.min(xFar, yFar);
+
+    return near < far || (edges && near === far) ? near : Infinity;
+  }
+
+  function rayDistance(bound, origin, direction) {
+    // The distance along the ray to where it enters the boundary
+    const { x, y } = Accessor.geometry(direction);
+    const length = Math.sqrt(x * x + y * y);
+
+    return slab(bound, origin, { x: x / length, y: y / length });
+  }
+
+  function intersectsRay(bound, origin, direction, maxDistance = Infinity) {
+    const d = rayDistance(bound, origin, direction);
+
+    return d < Infinity && d <= maxDistance;
+  }
+
+  function intersectsSegment(bound, a, b) {
+    // A segment is a ray from a that stops at b
+    const p = Accessor.geometry(a);
+    const q = Accessor.geometry(b);
+
+    return slab(bound, p, { x: q.x - p.x, y: q.y - p.y }) <= 1;
+  }
+
+  function sweptBounds(bound, velocity, dt) {
+    // The boundary covering every position bound passes through
+    //   while it moves at velocity for dt
+    const b = Accessor.geometry(bound);
+    const v = Accessor.geometry(velocity);
+    const dx = v.x * dt;
+    const dy = v.y * dt;
+
+    return {
+      x: Math.min(b.x, b.x + dx),
+      y: Math.min(b.y, b.y + dy),
+      width: b.width + Math.abs(dx),
+      height: b.height + Math.abs(dy),
+    };
+  }
+
+  function timeOfImpact(moving, velocity, target) {
+    // When moving, travelling at velocity, first touches target: 0 if they
+    //   already overlap, Infinity if it never does. Boundaries that only
+    //   touch are a hit when moving heads into target, not when it slides
+    //   along or away from it. Growing target by the size of moving turns
+    //   this into a ray from moving's corner.
+    const m = Accessor.geometry(moving);
+    const t = Accessor.geometry(target);
+    const grown = {
+      x: t.x - m.width,
+      y: t.y - m.height,
+      width: t.width + m.width,
+      height: t.height + m.height,
+    };
+
+    return slab(grown, m, velocity, false);
+  }
+
+  return {
+    within,
+    intersects,
+    overlaps,
+    distance,
+    containsPoint,
+    intersectsCircle,
+    intersectsPolygon,
+    rayDistance,
+    intersectsRay,
+    intersectsSegment,
+    sweptBounds,
+    timeOfImpact,
+  };
+}());
+
+export default Geometry;
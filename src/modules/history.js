@@ -0,0 +1,114 @@
+import check from 'check-types';
+import { List as list, Map as map } from 'immutable';
+
+import Quadtree from './quadtree.js';
+import Validation from './validation.js';
+
+const QuadtreeHistory = (function QuadtreeHistory() {
+  // A history is a Map of:
+  //   trees:   every retained generation, oldest first
+  //   first:   the generation number of the oldest retained tree
+  //   current: the generation number of the tree undo and redo are at
+  //   limit:   how many generations to retain
+  // Consecutive generations share every quadrant the change between them
+  //   didn't touch, so retaining a generation only costs the nodes it changed.
+
+  function create(tree, { limit = Infinity } = {}) {
+    Validation.node(tree, 'create');
+    Validation.option(
+      limit === Infinity || (check.integer(limit) && limit > 0),
+      limit,
+      'create',
+      'limit must be a positive integer'
+    );
+
+    return map({
+      trees: list.of(tree),
+      first: 0,
+      current: 0,
+      limit,
+    });
+  }
+
+  function generation(h) {
+    return h.get('current');
+  }
+
+  function current(h) {
+    return h.get('trees').get(h.get('current') - h.get('first'));
+  }
+
+  function at(h, gen) {
+    // Generations that were dropped by the retention limit, or that were
+    //   never recorded, are undefined
+    if (gen < h.get('first')) {
+      return undefined;
+    }
+
+    return h.get('trees').get(gen - h.get('first'));
+  }
+
+  function record(h, tree) {
+    // Recording after an undo discards the generations that could
+    //   have been redone
+    if (tree === current(h)) {
+      return h;
+    }
+
+    const kept = h
+      .get('trees')
+      .take(h.get('current') - h.get('first') + 1)
+      .push(tree);
+    const dropped = Math.max(kept.count() - h.get('limit'), 0);
+
+    return h
+      .set('trees', kept.skip(dropped).toList())
+      .update('first', (first) => first + dropped)
+      .update('current', (gen) => gen + 1);
+  }
+
+  function insert(h, item) {
+    return record(h, Quadtree.insert(current(h), item));
+  }
+
+  function batchInsert(h, items) {
+    return record(h, Quadtree.batchInsert(current(h), items));
+  }
+
+  function clear(h) {
+    return record(h, Quadtree.clear(current(h)));
+  }
+
+  function canUndo(h) {
+    return h.get('current') > h.get('first');
+  }
+
+  function canRedo(h) {
+    return h.get('current') < h.get('first') + h.get('trees').count() - 1;
+  }
+
+  function undo(h) {
+    return canUndo(h) ? h.update('current', (gen) => gen - 1) : h;
+  }
+
+  function redo(h) {
+    return canRedo(h) ? h.update('current', (gen) => gen + 1) : h;
+  }
+
+  return {
+    create,
+    generation,
+    current,
+    at,
+    record,
+    insert,
+    batchInsert,
+    clear,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+  };
+}());
+
+export default QuadtreeHistory;
@@ -1,96 +1,213 @@
-import check, { assert } from 'check-types';
+/* eslint no-bitwise: ["error", { "allow": ["&", "|"] }] */
+// Category masks are bit sets, tested with & in inMask and combined with | in union
 
-import boundary from './../structs/boundary.js';
+import check from 'check-types';
+import { List as list, Map as map, is } from 'immutable';
+
+import Accessor from './accessor.js';
+import Axes from './axes.js';
+import Validation from './validation.js';
 import node from './../structs/node.js';
 
 const Node = (function Node() {
-  function addChild(n, item) {
-    assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => item.has(key))),
-      'Missing boundary'
-    );
+  function isPointMode(n) {
+    return n.get('options').get('mode') === 'point';
+  }
 
-    assert(
-      n.has('children'),
-      'Missing children property'
-    );
+  function itemKeys(n) {
+    return Validation.itemKeys(n);
+  }
+
+  function category(n, item) {
+    // Items without a category are in none
+    const categoryKey = n.get('options').get('categoryKey');
+
+    return Accessor.has(item, categoryKey) ? Accessor.read(item, categoryKey) : 0;
+  }
+
+  function inMask(mask, bits) {
+    // Anything is in an undefined mask, otherwise the bits have to share one
+    return check.undefined(mask) || (bits & mask) !== 0;
+  }
+
+  const COUNT = {
+    initial: 0,
+    reduce: (acc) => acc + 1,
+    combine: (a, b) => a + b,
+  };
+
+  function reducers(n) {
+    // A tree's aggregates, along with the count every tree has
+    const aggregates = n.get('options').get('aggregates');
+
+    return map(aggregates || {}).set('count', COUNT);
+  }
+
+  function union(acc, bits) {
+    return acc | bits;
+  }
+
+  function fold(n, item, summaryKey, maskKey) {
+    // Add one item to a summary and mask, leaving everything else as it is
+    const folded = n.has(summaryKey)
+      ? n.update(summaryKey, (s) => reducers(n).map((reducer, name) => (
+        reducer.reduce(s.get(name), item)
+      )))
+      : n;
+
+    return folded.has(maskKey)
+      ? folded.update(maskKey, (mask) => union(mask, category(n, item)))
+      : folded;
+  }
+
+  function include(n, item) {
+    // Fold an item just added beneath n into its summary and mask
+    return fold(n, item, 'summary', 'mask');
+  }
+
+  function includeOwn(n, item) {
+    // Fold an item just added to n itself into both of n's summaries
+    return include(fold(n, item, 'ownSummary', 'ownMask'), item);
+  }
+
+  function recombine(n) {
+    // Rebuild n's summary and mask from the cached ones of its own items
+    //   and of its quadrants, without visiting any item
+    const quadrants = check.null(n.get('quadrants').first())
+      ? list()
+      : n.get('quadrants').toList();
+
+    const combined = n.has('ownSummary')
+      ? n.set('summary', reducers(n).map((reducer, name) => quadrants.reduce(
+        (acc, q) => reducer.combine(acc, q.getIn(['summary', name])),
+        n.getIn(['ownSummary', name])
+      )))
+      : n;
+
+    if (!n.has('ownMask')) {
+      return combined;
+    }
+
+    return combined.set('mask', quadrants.reduce(
+      (acc, q) => union(acc, q.get('mask')),
+      n.get('ownMask')
+    ));
+  }
+
+  function summarize(n) {
+    // Recompute n's summary and category mask from its own items and its
+    //   quadrants'. Each node also keeps the summary and mask of just its
+    //   own items, so a change beneath it only has to recombine them.
+    if (!n.has('ownSummary') && !n.has('ownMask')) {
+      return n;
+    }
+
+    const own = n.get('children').concat(n.get('overlappingChildren'));
+
+    return recombine(n.withMutations((m) => {
+      if (n.has('ownSummary')) {
+        m.set('ownSummary', reducers(n).map((reducer) => (
+          own.reduce((acc, item) => reducer.reduce(acc, item), reducer.initial)
+        )));
+      }
+
+      if (n.has('ownMask')) {
+        m.set('ownMask', own.reduce((acc, item) => union(acc, category(n, item)), 0));
+      }
+    }));
+  }
+
+  function addChild(n, item) {
+    Validation.node(n, 'addChild', ['children']);
+    Validation.item(n, item, 'addChild');
 
-    return n
-      .update('children', (l) => l.push(item));
+    return includeOwn(n
+      .update('children', (l) => l.push(item)), item);
   }
 
   function addOverlappingChild(n, item) {
-    assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => item.has(key))),
-      'Missing boundary'
-    );
+    Validation.node(n, 'addOverlappingChild', ['overlappingChildren']);
+    Validation.item(n, item, 'addOverlappingChild');
 
-    assert(
-      n.has('overlappingChildren'),
-      'Missing overlappingChildren property'
-    );
+    return includeOwn(n
+      .update('overlappingChildren', (l) => l.push(item)), item);
+  }
 
-    return n
-      .update('overlappingChildren', (l) => l.push(item));
+  function matcher(item, idKey) {
+    // Items are matched by id when the tree has an id key,
+    //   otherwise by value, so an equal copy matches the stored item
+    return check.string(idKey)
+      ? (i) => is(Accessor.read(i, idKey), Accessor.read(item, idKey))
+      : (i) => is(i, item);
   }
 
-  function split(n) {
-    assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => n.get('boundary').has(key))),
-      'Missing boundary'
-    );
+  function hasChild(n, item, idKey) {
+    Validation.node(n, 'hasChild', ['children', 'overlappingChildren']);
 
-    assert(
-      check.all(['quadrants', 'depth', 'maxDepth', 'maxChildren'].map((key) => n.has(key))),
-      'Missing node properties'
-    );
+    const match = matcher(item, idKey);
+
+    return n.get('children').some(match) || n.get('overlappingChildren').some(match);
+  }
+
+  function removeChild(n, item, idKey) {
+    Validation.node(n, 'removeChild', ['children', 'overlappingChildren']);
+
+    const match = matcher(item, idKey);
+    const index = n.get('children').findIndex(match);
 
-    const { x, y, width, height } = n.get('boundary').toObject();
+    // The lists may be mutable ones from withMutations, which delete
+    //   corrupts in Immutable 3, so the item is filtered out instead
+    const without = (at) => (l) => l.filter((c, i) => i !== at);
 
-    const halfwidth = width / 2;
-    const halfheight = height / 2;
-    const hmid = x + halfwidth;
-    const vmid = y + halfheight;
+    // A reducer can't take an item back out, so n's own items are reduced
+    //   again. Nodes above n only have to recombine theirs.
+    if (index !== -1) {
+      return summarize(n.update('children', without(index)));
+    }
+
+    const overlappingIndex = n.get('overlappingChildren').findIndex(match);
+
+    if (overlappingIndex !== -1) {
+      return summarize(n.update('overlappingChildren', without(overlappingIndex)));
+    }
+
+    return n;
+  }
+
+  function split(n) {
+    Validation.node(n, 'split');
+
+    // Each quadrant covers the low or high half of n on every axis,
+    //   so there are 4 in the plane and 8 in space
+    const axes = Axes.of(n);
+    const b = Accessor.geometry(n.get('boundary'), axes);
     const depth = n.get('depth') + 1;
 
-    return n
-      .update('quadrants', (q) => (
+    const quadrant = (k) => {
+      const highs = Axes.sides(axes, k);
+      const corner = list(axes).map(([p, size], i) => [p, highs[i] ? b[p] + b[size] / 2 : b[p]]);
+      const half = map(corner.concat(list(axes).map(([, size]) => [size, b[size] / 2])));
+
+      return node(half, n.get('maxChildren'), n.get('maxDepth'), depth, n.get('options'));
+    };
+
+    return summarize(n
+      .update('quadrants', (q) => Axes.directionsOf(n).reduce(
+        (acc, direction, k) => acc.set(direction, quadrant(k)),
         q
-          .set('top-left', node(boundary(
-            x,
-            y,
-            halfheight,
-            halfwidth
-          ), n.get('maxChildren'), n.get('maxDepth'), depth))
-          .set('top-right', node(boundary(
-            hmid,
-            y,
-            halfheight,
-            halfwidth
-          ), n.get('maxChildren'), n.get('maxDepth'), depth))
-          .set('bottom-left', node(boundary(
-            x,
-            vmid,
-            halfheight,
-            halfwidth
-          ), n.get('maxChildren'), n.get('maxDepth'), depth))
-          .set('bottom-right', node(boundary(
-            hmid,
-            vmid,
-            halfheight,
-            halfwidth
-          ), n.get('maxChildren'), n.get('maxDepth'), depth))
-      ));
+      )));
+  }
+
+  function looseBoundary(n) {
+    // The region items of n may occupy, which is its boundary unless it is loose
+    return n.has('looseBoundary') ? n.get('looseBoundary') : n.get('boundary');
   }
 
   function isLeaf(n) {
     // n is a leaf when its quadrants haven't been set
-    assert(
-      n.has('quadrants'),
-      'Missing quadrants property'
-    );
+    Validation.node(n, 'isLeaf', ['quadrants']);
 
-    return check.null(n.get('quadrants').get('top-left'));
+    return check.null(n.get('quadrants').first());
   }
 
   function clear(n) {
@@ -105,19 +222,60 @@ const Node = (function Node() {
     }
 
     // Lastly, clear the children and overlappingChildren lists
-    return removedNodes
+    return summarize(removedNodes
       .update('children', (l) => l.clear())
-      .update('overlappingChildren', (l) => l.clear());
+      .update('overlappingChildren', (l) => l.clear()));
+  }
+
+  function merge(n) {
+    // Collapse every quadrant beneath n back into n's own children
+    if (isLeaf(n)) {
+      return n;
+    }
+
+    const children = n
+      .get('quadrants')
+      .toList()
+      .map((q) => merge(q))
+      .reduce(
+        (acc, q) => acc.concat(q.get('children')),
+        n.get('children').concat(n.get('overlappingChildren'))
+      );
+
+    return summarize(n
+      .set('children', children)
+      .update('overlappingChildren', (l) => l.clear())
+      .update('quadrants', (q) => (q.map(() => null))));
+  }
+
+  function isMergeable(n) {
+    // A node is mergeable when:
+    //   it has quadrants,
+    //   none of its quadrants have been split, and
+    //   it holds no more than the maximum number of children
+    if (isLeaf(n)) {
+      return false;
+    }
+
+    const quadrants = n.get('quadrants').toList();
+
+    if (!quadrants.every((q) => isLeaf(q))) {
+      return false;
+    }
+
+    const len = quadrants.reduce(
+      (acc, q) => acc + q.get('children').count(),
+      n.get('children').count() + n.get('overlappingChildren').count()
+    );
+
+    return len <= n.get('maxChildren');
   }
 
   function isSplittable(n) {
     // A node is splittable when:
     //   it has more than the maximum number of children and
     //   it is below the max depth
-    check.assert(
-      check.all(['quadrants', 'depth', 'maxDepth', 'maxChildren'].map((key) => n.has(key))),
-      'Missing node properties'
-    );
+    Validation.node(n, 'isSplittable', ['children', 'depth', 'maxDepth', 'maxChildren']);
 
     const len = n.get('children').count();
 
@@ -125,12 +283,25 @@ const Node = (function Node() {
   }
 
   return {
+    isPointMode,
+    itemKeys,
+    category,
+    inMask,
     addChild,
     addOverlappingChild,
+    hasChild,
+    removeChild,
     split,
+    merge,
     clear,
+    summarize,
+    include,
+    recombine,
+    reducers,
+    looseBoundary,
     isLeaf,
     isSplittable,
+    isMergeable,
   };
 }());
 
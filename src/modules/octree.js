@@ -0,0 +1,72 @@
+import check from 'check-types';
+
+import Axes from './axes.js';
+import Quadtree from './quadtree.js';
+
+const Octree = (function Octree() {
+  // An octree is a quadtree whose nodes also span z and depth, so each one
+  //   splits into 8 children instead of 4. The axes are kept in the tree's
+  //   options, and every function but create and fromItems is Quadtree's own.
+  //   Passing { axes } instead gives a tree with any number of dimensions.
+
+  function space(options) {
+    return Object.assign({ axes: Axes.SPACE }, options);
+  }
+
+  function create(boundary, maxChildren = 4, maxDepth = 4, options = {}) {
+    // Options may also be passed in place of maxChildren, as with Quadtree
+    if (check.object(maxChildren)) {
+      return Quadtree.create(boundary, space(maxChildren));
+    }
+
+    return Quadtree.create(boundary, maxChildren, maxDepth, space(options));
+  }
+
+  function fromItems(boundary, items, options = {}) {
+    return Quadtree.fromItems(boundary, items, space(options));
+  }
+
+  return {
+    create,
+    fromItems,
+    insert: Quadtree.insert,
+    insertWithEvents: Quadtree.insertWithEvents,
+    remove: Quadtree.remove,
+    removeWithEvents: Quadtree.removeWithEvents,
+    removeById: Quadtree.removeById,
+    update: Quadtree.update,
+    get: Quadtree.get,
+    has: Quadtree.has,
+    search: Quadtree.search,
+    searchRadius: Quadtree.searchRadius,
+    searchPoint: Quadtree.searchPoint,
+    nearest: Quadtree.nearest,
+    count: Quadtree.count,
+    aggregate: Quadtree.aggregate,
+    collisions: Quadtree.collisions,
+    collisionsWith: Quadtree.collisionsWith,
+    clear: Quadtree.clear,
+    clearWithEvents: Quadtree.clearWithEvents,
+    batchInsert: Quadtree.batchInsert,
+    batchInsertWithEvents: Quadtree.batchInsertWithEvents,
+    withMutations: Quadtree.withMutations,
+    diff: Quadtree.diff,
+    toJSON: Quadtree.toJSON,
+    fromJSON: Quadtree.fromJSON,
+    nodes: Quadtree.nodes,
+    items: Quadtree.items,
+    traverse: Quadtree.traverse,
+    map: Quadtree.map,
+    filter: Quadtree.filter,
+    reduce: Quadtree.reduce,
+    stats: Quadtree.stats,
+    validate: Quadtree.validate,
+    InvalidItemError: Quadtree.InvalidItemError,
+    InvalidNodeError: Quadtree.InvalidNodeError,
+    InvalidOptionsError: Quadtree.InvalidOptionsError,
+    InvalidArgumentError: Quadtree.InvalidArgumentError,
+    OutOfBoundsError: Quadtree.OutOfBoundsError,
+  };
+}());
+
+export default Octree;
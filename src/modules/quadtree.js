@@ -1,62 +1,237 @@
-import check, { assert } from 'check-types';
-import { List as list } from 'immutable';
+import check from 'check-types';
+import { List as list, Map as map, Range as range, is } from 'immutable';
 
+import Accessor from './accessor.js';
+import Axes from './axes.js';
 import Node from './node.js';
-import Boundary from './boundary.js';
+import Geometry from './geometry.js';
+import Errors from './errors.js';
+import Serialization from './serialization.js';
+import Traversal from './traversal.js';
+import Validation from './validation.js';
 import node from './../structs/node.js';
+import position from './../structs/position.js';
 
 const Quadtree = (function Quadtree() {
-  function create(boundary, maxChildren = 4, maxDepth = 4) {
-    return node(boundary, maxChildren, maxDepth, 0);
-  }
+  function create(boundary, maxChildren = 4, maxDepth = 4, options = {}) {
+    // Options may also be passed in place of maxChildren,
+    //   e.g. create(boundary, { maxChildren: 8, idKey: 'id' })
+    if (check.object(maxChildren)) {
+      return create(boundary, maxChildren.maxChildren, maxChildren.maxDepth, maxChildren);
+    }
 
-  function determineQuadrant(n, item) {
-    const b = n.get('boundary');
+    const given = map(options)
+      .delete('maxChildren')
+      .delete('maxDepth');
 
-    const right = item.get('x') > b.get('x') + b.get('width') / 2;
-    const left = !right;
-    const bottom = item.get('y') > b.get('y') + b.get('height') / 2;
-    const top = !bottom;
+    Validation.option(
+      !given.has('axes') || (
+        check.array(given.get('axes')) &&
+        given.get('axes').length > 0 &&
+        given.get('axes').every((axis) => (
+          check.array(axis) && axis.length === 2 && axis.every(check.nonEmptyString)
+        )) &&
+        list(Axes.keys(given.get('axes'))).toSet().count() === given.get('axes').length * 2
+      ),
+      given.get('axes'),
+      'create',
+      'axes must be [position, size] pairs of distinct keys'
+    );
 
-    if (top && left) {
-      return 'top-left';
-    }
+    // Planar trees don't store their axes, so they stay equal to trees made
+    //   without them. Other axes are kept as a List, for the same reason.
+    const axes = given.has('axes') && !Axes.isPlane(given.get('axes'))
+      ? Axes.normalize(given.get('axes'))
+      : Axes.PLANE;
+    const opts = axes === Axes.PLANE ? given.delete('axes') : given.set('axes', axes);
+
+    Validation.option(
+      !opts.has('mode') || ['boundary', 'point'].includes(opts.get('mode')),
+      opts.get('mode'),
+      'create',
+      'Unknown mode'
+    );
+
+    Validation.option(
+      !opts.has('validate') || check.boolean(opts.get('validate')),
+      opts.get('validate'),
+      'create',
+      'validate must be a boolean'
+    );
+
+    Validation.option(
+      !opts.has('onEvent') || check.function(opts.get('onEvent')),
+      opts.get('onEvent'),
+      'create',
+      'onEvent must be a function'
+    );
+
+    Validation.option(
+      !opts.has('aggregates') || (
+        check.object(opts.get('aggregates')) &&
+        !('count' in opts.get('aggregates')) &&
+        Object.keys(opts.get('aggregates')).every((name) => {
+          const reducer = opts.get('aggregates')[name];
 
-    if (top && right) {
-      return 'top-right';
+          return check.object(reducer) &&
+            check.function(reducer.reduce) &&
+            check.function(reducer.combine);
+        })
+      ),
+      opts.get('aggregates'),
+      'create',
+      'aggregates must map names other than count to { initial, reduce, combine }'
+    );
+
+    Validation.option(
+      !opts.has('categoryKey') || check.string(opts.get('categoryKey')),
+      opts.get('categoryKey'),
+      'create',
+      'categoryKey must be a string'
+    );
+
+    Validation.option(
+      !opts.has('getBounds') || check.function(opts.get('getBounds')),
+      opts.get('getBounds'),
+      'create',
+      'getBounds must be a function'
+    );
+
+    Validation.boundary(undefined, boundary, 'create', Errors.InvalidNodeError, axes);
+
+    Validation.option(
+      !opts.get('growable') || list(axes).every(([, size]) => boundary.get(size) > 0),
+      boundary,
+      'create',
+      'Growable trees need a boundary with a size on every axis'
+    );
+
+    const root = node(boundary, maxChildren, maxDepth, 0, opts);
+
+    if (!opts.has('idKey')) {
+      return root;
     }
 
-    if (bottom && left) {
-      return 'bottom-left';
+    Validation.option(
+      check.string(opts.get('idKey')),
+      opts.get('idKey'),
+      'create',
+      'idKey must be a string'
+    );
+
+    // The index maps each item's id to the path of the node that holds it
+    return root.set('index', map());
+  }
+
+  function keyPath(path) {
+    return path.flatMap((direction) => ['quadrants', direction]);
+  }
+
+  function idKeyOf(n) {
+    return n.get('options').get('idKey');
+  }
+
+  function reindex(index, n, path, idKey) {
+    // Point the id of every item at or beneath n at its current path
+    const indexed = n
+      .get('children')
+      .concat(n.get('overlappingChildren'))
+      .reduce((acc, item) => acc.set(Accessor.read(item, idKey), path), index);
+
+    if (Node.isLeaf(n)) {
+      return indexed;
     }
 
-    if (bottom && right) {
-      return 'bottom-right';
+    return n
+      .get('quadrants')
+      .reduce((acc, q, direction) => reindex(acc, q, path.push(direction), idKey), indexed);
+  }
+
+  function withIndex(n) {
+    // Index every item in a tree that was built without insert
+    const idKey = idKeyOf(n);
+
+    if (check.undefined(idKey)) {
+      return n;
     }
 
-    return '';
+    return n.set('index', map().withMutations((m) => reindex(m, n, list(), idKey)));
   }
 
-  function insert(n, item) {
-    assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => item.has(key))),
-      'Missing boundary'
-    );
+  function determineQuadrant(n, item) {
+    const axes = Axes.of(n);
+    const b = Accessor.geometry(n.get('boundary'), axes);
 
-    assert(
-      check.all(
-        ['boundary', 'quadrants', 'depth', 'maxDepth', 'maxChildren']
-          .map((key) => n.has(key))
-      ),
-      'Missing node properties'
-    );
+    // Loose trees sort items by their centers, since the quadrants
+    //   can hold items that hang over their edges. Items past the middle
+    //   of an axis go to the quadrants on its high side.
+    const i = Accessor.of(n)(item);
+    const loose = n.get('options').has('loose');
+    const highs = list(axes).map(([p, size]) => (
+      (loose ? i[p] + i[size] / 2 : i[p]) > b[p] + b[size] / 2
+    ));
 
+    return Axes.direction(axes, highs.toArray());
+  }
+
+  function fits(quadrant, item) {
+    // A point always fits the quadrant determineQuadrant picks for it,
+    //   so point trees never hold overlapping children
+    return Node.isPointMode(quadrant) ||
+      Geometry.within(Node.looseBoundary(quadrant), item, Accessor.of(quadrant), Axes.of(quadrant));
+  }
+
+  function bounds(n, item) {
+    // The item's geometry as a plain { x, y, width, height }, with a position
+    //   and size for every axis of trees that aren't planar
+    return Accessor.of(n)(item);
+  }
+
+  function inside(n, item) {
+    // Whether the item lies within n's own boundary
+    return Geometry.within(n.get('boundary'), bounds(n, item), Accessor.geometry, Axes.of(n));
+  }
+
+  function overlapTest(n) {
+    // Points on the edge of a range are inside it, so point trees
+    //   also count boundaries that only touch as overlapping
+    const test = Node.isPointMode(n) ? Geometry.overlaps : Geometry.intersects;
+    const axes = Axes.of(n);
+
+    return (a, b) => test(a, b, Accessor.geometry, axes);
+  }
+
+  function planar(n, fn) {
+    // Shapes, rays, sweeps and grids are only defined in the plane
+    Validation.option(Axes.of(n) === Axes.PLANE, Axes.of(n), fn, `${fn} needs a planar tree`);
+  }
+
+  function locate(n, item) {
+    // Follow the same route insert takes, returning the directions to the
+    // node that holds (or would hold) the item
+    if (Node.isLeaf(n)) {
+      return list();
+    }
+
+    const direction = determineQuadrant(n, item);
+    const quadrant = n.get('quadrants').get(direction);
+
+    if (!fits(quadrant, item)) {
+      return list();
+    }
+
+    return locate(quadrant, item).unshift(direction);
+  }
+
+  function place(n, item) {
     if (!Node.isLeaf(n)) {
       const direction = determineQuadrant(n, item);
       const quadrant = n.get('quadrants').get(direction);
 
-      if (Boundary.within(quadrant.get('boundary'), item)) {
-        return n.update('quadrants', (q) => q.update(direction, (d) => insert(d, item)));
+      if (fits(quadrant, item)) {
+        return Node.include(n.update('quadrants', (q) => (
+          q.update(direction, (d) => place(d, item))
+        )), item);
       }
 
       return Node.addOverlappingChild(n, item);
@@ -72,88 +247,1369 @@ const Quadtree = (function Quadtree() {
 
     const children = splitNode.get('children');
 
-    return children
-      .reduce((acc, i) => insert(acc, i), splitNode)
-      .update('children', (l) => l.clear());
+    return Node.summarize(children
+      .reduce((acc, i) => place(acc, i), splitNode)
+      .update('children', (l) => l.clear()));
+  }
+
+  function grow(n, item) {
+    // Double the root towards the item, keeping the old root as one of the
+    //   new root's quadrants, until the item fits
+    const axes = Axes.of(n);
+    const b = n.get('boundary');
+    const i = bounds(n, item);
+
+    if (inside(n, item)) {
+      return n;
+    }
+
+    // On each axis the item lies below, the new root extends downwards,
+    //   leaving the old root on its high side
+    const below = list(axes).map(([p]) => i[p] < b.get(p));
+    const direction = Axes.direction(axes, below.toArray());
+
+    const root = node(
+      list(axes).reduce((acc, [p, size], k) => acc
+        .set(p, below.get(k) ? b.get(p) - b.get(size) : b.get(p))
+        .set(size, b.get(size) * 2), b),
+      n.get('maxChildren'),
+      n.get('maxDepth'),
+      n.get('depth') - 1,
+      n.get('options')
+    );
+
+    const index = n.get('index');
+    const grown = Node.summarize(Node.split(root)
+      .setIn(['quadrants', direction], n.delete('index')));
+
+    if (check.undefined(index)) {
+      return grow(grown, item);
+    }
+
+    return grow(
+      grown.set('index', index.map((path) => path.unshift(direction))),
+      item
+    );
+  }
+
+  function insertAt(n, item, path) {
+    // Insert an item that lies inside n. path is the route locate gives it,
+    //   which only indexed trees need, so it's found here if not given.
+    if (!n.has('index')) {
+      return place(n, item);
+    }
+
+    const idKey = idKeyOf(n);
+
+    if (!Accessor.has(item, idKey)) {
+      throw new Errors.InvalidItemError(item, 'insert', `Missing ${idKey}`);
+    }
+
+    if (n.get('index').has(Accessor.read(item, idKey))) {
+      throw new Errors.InvalidItemError(item, 'insert', `Duplicate ${idKey}`);
+    }
+
+    const at = path || locate(n, item);
+
+    // Only a leaf can split, so only a leaf's items may have moved
+    const leaf = Node.isLeaf(n.getIn(keyPath(at)));
+    const inserted = place(n, item);
+
+    if (leaf) {
+      return inserted.update('index', (index) => (
+        reindex(index, inserted.getIn(keyPath(at)), at, idKey)
+      ));
+    }
+
+    return inserted.update('index', (index) => index.set(Accessor.read(item, idKey), at));
+  }
+
+  function insertItem(n, item) {
+    Validation.node(n, 'insert');
+    Validation.item(n, item, 'insert');
+
+    if (!inside(n, item)) {
+      if (!n.get('options').get('growable')) {
+        throw new Errors.OutOfBoundsError(item, 'insert');
+      }
+
+      return insertItem(grow(n, item), item);
+    }
+
+    return insertAt(n, item);
+  }
+
+  function removeAt(n, path, item, idKey) {
+    // Only called once the item is known to be at the end of path, so every
+    //   node on the way has changed, including mutable ones changed in place
+    if (path.isEmpty()) {
+      return Node.removeChild(n, item, idKey);
+    }
+
+    const direction = path.first();
+    const updatedNode = n.update('quadrants', (q) => (
+      q.update(direction, (d) => removeAt(d, path.rest(), item, idKey))
+    ));
+
+    if (Node.isMergeable(updatedNode)) {
+      return Node.merge(updatedNode);
+    }
+
+    return Node.recombine(updatedNode);
+  }
+
+  function pathOf(n, item) {
+    // The route to the node holding the item: the index knows it, otherwise
+    //   it's the route insert takes. undefined for ids the index doesn't hold.
+    if (n.has('index')) {
+      return n.get('index').get(Accessor.read(item, idKeyOf(n)));
+    }
+
+    return locate(n, item);
+  }
+
+  function heldAt(n, item, path) {
+    // Whether the item is at the end of path. Ids in the index always are.
+    return !check.undefined(path) &&
+      (n.has('index') || Node.hasChild(n.getIn(keyPath(path)), item));
+  }
+
+  function removeFrom(n, item, path) {
+    // Removing an item that isn't there changes nothing,
+    //   so no node is copied or merged
+    if (!heldAt(n, item, path)) {
+      return n;
+    }
+
+    if (!n.has('index')) {
+      return removeAt(n, path, item);
+    }
+
+    const idKey = idKeyOf(n);
+    const removed = removeAt(n, path, item, idKey);
+
+    // Find the highest node on the path that merged, if any,
+    //   since every item beneath it now lives in it
+    const mergedAt = path.takeWhile((direction, i) => (
+      !Node.isLeaf(removed.getIn(keyPath(path.take(i))))
+    ));
+
+    return removed.update('index', (index) => {
+      const unindexed = index.delete(Accessor.read(item, idKey));
+
+      if (mergedAt.count() === path.count()) {
+        return unindexed;
+      }
+
+      return reindex(unindexed, removed.getIn(keyPath(mergedAt)), mergedAt, idKey);
+    });
+  }
+
+  function removeItem(n, item) {
+    Validation.node(n, 'remove');
+    Validation.item(n, item, 'remove');
+
+    return removeFrom(n, item, pathOf(n, item));
+  }
+
+  function event(type, path, n, item) {
+    const e = map({ type, path, node: n });
+
+    return check.undefined(item) ? e : e.set('item', item);
+  }
+
+  function splitEvents(tree, path) {
+    // Every node at or beneath path that has quadrants was just split,
+    //   and every item in its overlappingChildren landed there
+    let events = list();
+
+    Traversal.traverse(tree.getIn(keyPath(path)), (current, rest) => {
+      if (Node.isLeaf(current)) {
+        return false;
+      }
+
+      const at = path.concat(rest);
+
+      events = current
+        .get('overlappingChildren')
+        .reduce(
+          (acc, i) => acc.push(event('overflow', at, current, i)),
+          events.push(event('split', at, current))
+        );
+
+      return true;
+    });
+
+    return events;
+  }
+
+  function growEvents(before, after) {
+    // Each root added above before was split to make room for the item
+    let events = list();
+
+    Traversal.traverse(after, (current, path) => {
+      if (current.get('depth') >= before.get('depth')) {
+        return false;
+      }
+
+      events = events.push(event('split', path, current));
+
+      return true;
+    });
+
+    return events;
+  }
+
+  function insertTracked(n, item, path) {
+    // Insert an item that lies inside n along path, returning { tree, events }
+    const leaf = Node.isLeaf(n.getIn(keyPath(path)));
+    const tree = insertAt(n, item, path);
+
+    // Only a leaf can split. Anywhere else the item was too big
+    //   for the quadrants, so it overflowed.
+    const at = leaf ? locate(tree, item) : path;
+    const holder = tree.getIn(keyPath(at));
+    const events = leaf
+      ? splitEvents(tree, path)
+      : list.of(event('overflow', at, holder, item));
+
+    return map({ tree, events: events.push(event('insert', at, holder, item)) });
+  }
+
+  function insertWithEvents(n, item) {
+    // The events are worked out by comparing the tree before and after the
+    //   insert, so insert itself doesn't change. Returns { tree, events }.
+    Validation.node(n, 'insert');
+    Validation.item(n, item, 'insert');
+
+    if (!inside(n, item)) {
+      if (!n.get('options').get('growable')) {
+        throw new Errors.OutOfBoundsError(item, 'insert');
+      }
+
+      const grown = grow(n, item);
+
+      return insertWithEvents(grown, item)
+        .update('events', (events) => growEvents(n, grown).concat(events));
+    }
+
+    return insertTracked(n, item, locate(n, item));
+  }
+
+  function removeTracked(n, item, path) {
+    // Remove the item at the end of path, returning { tree, events }
+    if (!heldAt(n, item, path)) {
+      return map({ tree: n, events: list() });
+    }
+
+    const tree = removeFrom(n, item, path);
+
+    // Merges cascade up the path, so only the highest merged node is left
+    const mergedAt = path.takeWhile((direction, i) => (
+      !Node.isLeaf(tree.getIn(keyPath(path.take(i))))
+    ));
+    const merged = mergedAt.count() < path.count();
+    const at = merged ? mergedAt : path;
+    const holder = tree.getIn(keyPath(at));
+    const events = merged ? list.of(event('merge', at, holder)) : list();
+
+    return map({ tree, events: events.push(event('remove', at, holder, item)) });
+  }
+
+  function removeWithEvents(n, item) {
+    Validation.node(n, 'remove');
+    Validation.item(n, item, 'remove');
+
+    return removeTracked(n, item, pathOf(n, item));
+  }
+
+  function notify(result) {
+    const tree = result.get('tree');
+    const onEvent = tree.get('options').get('onEvent');
+
+    result.get('events').forEach((e) => {
+      onEvent(e);
+    });
+
+    return tree;
+  }
+
+  function hasHook(n) {
+    return map.isMap(n) && map.isMap(n.get('options')) && n.get('options').has('onEvent');
+  }
+
+  function insert(n, item) {
+    return hasHook(n) ? notify(insertWithEvents(n, item)) : insertItem(n, item);
+  }
+
+  function remove(n, item) {
+    return hasHook(n) ? notify(removeWithEvents(n, item)) : removeItem(n, item);
+  }
+
+  function get(n, id) {
+    Validation.node(n, 'get', ['index']);
+
+    const path = n.get('index').get(id);
+
+    if (check.undefined(path)) {
+      return undefined;
+    }
+
+    const idKey = idKeyOf(n);
+    const holder = n.getIn(keyPath(path));
+
+    return holder
+      .get('children')
+      .concat(holder.get('overlappingChildren'))
+      .find((item) => Accessor.read(item, idKey) === id);
+  }
+
+  function has(n, id) {
+    Validation.node(n, 'has', ['index']);
+
+    return n.get('index').has(id);
+  }
+
+  function removeById(n, id) {
+    const item = get(n, id);
+
+    if (check.undefined(item)) {
+      return n;
+    }
+
+    return remove(n, item);
+  }
+
+  function update(n, oldItem, newItem) {
+    // Updating an item that isn't in the tree leaves the tree as it is
+    const removed = remove(n, oldItem);
+
+    return removed === n ? n : insert(removed, newItem);
   }
 
   function batchInsert(n, items) {
     return items.reduce((acc, item) => insert(acc, item), n);
   }
 
-  function search(n, item) {
-    assert(
-      check.all(['x', 'y', 'width', 'height'].map((key) => item.has(key))),
-      'Missing boundary'
-    );
+  function batchInsertWithEvents(n, items) {
+    return items.reduce((acc, item) => {
+      const result = insertWithEvents(acc.get('tree'), item);
 
-    assert(
-      check.all(
-        ['boundary', 'quadrants', 'depth', 'maxDepth', 'maxChildren']
-          .map((key) => n.has(key))
-      ),
-      'Missing node properties'
+      return result.set('events', acc.get('events').concat(result.get('events')));
+    }, map({ tree: n, events: list() }));
+  }
+
+  function build(n, items) {
+    // Partition the items between n and its quadrants, building each node once.
+    //   Nodes split under the same rule insert uses, so the result is
+    //   the tree inserting the items one by one would give.
+    const filled = n.set('children', items);
+
+    if (!Node.isSplittable(filled)) {
+      return Node.summarize(filled);
+    }
+
+    const splitNode = Node.split(n);
+    const quadrants = splitNode.get('quadrants');
+    const buckets = quadrants.map(() => list().asMutable());
+    const overlapping = list().asMutable();
+
+    items.forEach((item) => {
+      const direction = determineQuadrant(splitNode, item);
+
+      if (fits(quadrants.get(direction), item)) {
+        buckets.get(direction).push(item);
+      } else {
+        overlapping.push(item);
+      }
+    });
+
+    return Node.summarize(splitNode.withMutations((m) => m
+      .set('overlappingChildren', overlapping.asImmutable())
+      .set('quadrants', quadrants.map((q, direction) => (
+        build(q, buckets.get(direction).asImmutable())
+      )))
+    ));
+  }
+
+  function fromItems(boundary, items, options = {}) {
+    // The tree is built in one go, so it emits no events, even with onEvent.
+    //   The hook is kept and called for every change made to it afterwards.
+    const root = create(boundary, options);
+    const all = list(items);
+
+    all.forEach((item) => Validation.item(root, item, 'fromItems'));
+
+    const within = all.filter((item) => inside(root, item));
+    const outside = all.filter((item) => !inside(root, item));
+
+    if (!outside.isEmpty() && !root.get('options').get('growable')) {
+      throw new Errors.OutOfBoundsError(outside.first(), 'fromItems');
+    }
+
+    const built = build(root, within);
+
+    // Items outside a growable tree are left for insert to grow it
+    const insertOutside = (tree) => outside.reduce((acc, item) => insertItem(acc, item), tree);
+
+    if (!built.has('index')) {
+      return insertOutside(built);
+    }
+
+    const idKey = idKeyOf(built);
+    const missing = within.find((item) => !Accessor.has(item, idKey));
+
+    if (!check.undefined(missing)) {
+      throw new Errors.InvalidItemError(missing, 'fromItems', `Missing ${idKey}`);
+    }
+
+    const indexed = withIndex(built);
+
+    if (indexed.get('index').count() !== within.count()) {
+      throw new Errors.InvalidItemError(items, 'fromItems', `Duplicate ${idKey}`);
+    }
+
+    return insertOutside(indexed);
+  }
+
+  function toJSON(n) {
+    return Serialization.toJSON(n);
+  }
+
+  function fromJSON(json, options = {}) {
+    return withIndex(Serialization.fromJSON(json, options));
+  }
+
+  function toBuffer(n) {
+    return Serialization.toBuffer(n);
+  }
+
+  function fromBuffer(buffer, options = {}) {
+    return withIndex(Serialization.fromBuffer(buffer, options));
+  }
+
+  function checkMask(n, mask, fn) {
+    Validation.argument(
+      check.undefined(mask) || (check.integer(mask) && n.get('options').has('categoryKey')),
+      mask,
+      fn,
+      'mask must be an integer, on a tree with a categoryKey'
     );
+  }
 
-    if (!Boundary.intersects(n.get('boundary'), item)) {
+  function query(n, test, mask) {
+    // Collect every item that passes the test and is in mask, skipping
+    //   quadrants whose boundaries fail the test or that hold nothing in mask
+    if (!test(Node.looseBoundary(n)) || !Node.inMask(mask, n.get('mask'))) {
       return list();
     }
 
     const points = n
       .get('children')
       .concat(n.get('overlappingChildren'))
-      .filter((x) => Boundary.intersects(item, x));
+      .filter((item) => Node.inMask(mask, Node.category(n, item)) && test(bounds(n, item)));
 
     if (Node.isLeaf(n)) {
       return points;
     }
 
-    const quadrants = n.get('quadrants');
+    return n
+      .get('quadrants')
+      .reduce((acc, q) => acc.concat(query(q, test, mask)), points);
+  }
+
+  function search(n, item, { mask } = {}) {
+    Validation.node(n, 'search');
+    Validation.boundary(n, item, 'search', Errors.InvalidArgumentError);
+    checkMask(n, mask, 'search');
 
-    return points
-      .concat(search(quadrants.get('top-left'), item))
-      .concat(search(quadrants.get('top-right'), item))
-      .concat(search(quadrants.get('bottom-left'), item))
-      .concat(search(quadrants.get('bottom-right'), item));
+    const overlaps = overlapTest(n);
+
+    return query(n, (b) => overlaps(b, item), mask);
   }
 
-  function clear(n) {
+  function searchRadius(n, center, radius, { mask } = {}) {
+    Validation.node(n, 'searchRadius');
+    Validation.position(n, center, 'searchRadius', Errors.InvalidArgumentError);
+    Validation.argument(
+      check.number(radius) && radius >= 0,
+      radius,
+      'searchRadius',
+      'radius must be a non-negative number'
+    );
+    checkMask(n, mask, 'searchRadius');
+
+    const axes = Axes.of(n);
+
+    return query(n, (b) => Geometry.intersectsCircle(b, center, radius, axes), mask);
+  }
+
+  function searchPoint(n, point, { mask } = {}) {
+    Validation.node(n, 'searchPoint');
+    Validation.position(n, point, 'searchPoint', Errors.InvalidArgumentError);
+    checkMask(n, mask, 'searchPoint');
+
+    const axes = Axes.of(n);
+
+    return query(n, (b) => Geometry.containsPoint(b, point, axes), mask);
+  }
+
+  function searchPolygon(n, vertices, { mask } = {}) {
+    const polygon = list(vertices);
+
+    Validation.node(n, 'searchPolygon');
+    planar(n, 'searchPolygon');
+    Validation.argument(
+      polygon.count() >= 3,
+      vertices,
+      'searchPolygon',
+      'A polygon needs at least 3 vertices'
+    );
+    polygon.forEach((v) => Validation.position(n, v, 'searchPolygon', Errors.InvalidArgumentError));
+    checkMask(n, mask, 'searchPolygon');
+
+    return query(n, (b) => Geometry.intersectsPolygon(b, polygon), mask);
+  }
+
+  function searchSegment(n, a, b, { mask } = {}) {
+    Validation.node(n, 'searchSegment');
+    planar(n, 'searchSegment');
+    Validation.position(n, a, 'searchSegment', Errors.InvalidArgumentError);
+    Validation.position(n, b, 'searchSegment', Errors.InvalidArgumentError);
+    checkMask(n, mask, 'searchSegment');
+
+    return query(n, (bound) => Geometry.intersectsSegment(bound, a, b), mask);
+  }
+
+  function reducerOf(n, name, fn) {
+    const reducer = Node.reducers(n).get(name);
+
+    Validation.argument(
+      !check.undefined(reducer),
+      name,
+      fn,
+      'name must be count or one of the tree\'s aggregates'
+    );
+
+    return reducer;
+  }
+
+  function regionTests(n, region) {
+    // The tests summarizeRegion makes for a region: whether a node may hold
+    //   items overlapping it, whether every item under the node is sure to,
+    //   and whether an item does. Rectangle trees don't count shared edges
+    //   as overlapping, so a node has to lie strictly inside to be covered.
+    const axes = Axes.of(n);
+    const overlaps = overlapTest(n);
+    const r = Accessor.geometry(region, axes);
+
+    const covers = Node.isPointMode(n)
+      ? (bound) => Geometry.within(region, bound, Accessor.geometry, axes)
+      : (bound) => {
+        const b = Accessor.geometry(bound, axes);
+
+        return axes.every(([p, size]) => b[p] > r[p] && b[p] + b[size] < r[p] + r[size]);
+      };
+
+    return {
+      reaches: (bound) => overlaps(bound, region),
+      covers,
+      holds: (item) => overlaps(region, item),
+    };
+  }
+
+  function cellTests(low, high, last) {
+    // densityGrid's cells in a point tree are half open, so a point on the
+    //   edge between two cells is only counted in the cell after it. The
+    //   last cells on an axis also take the points on the tree's far edge.
+    const axes = [['x', 'width'], ['y', 'height']];
+    const below = (value, p) => value < high[p] || (last[p] && value === high[p]);
+
+    return {
+      reaches: (bound) => {
+        const b = Accessor.geometry(bound);
+
+        return axes.every(([p, size]) => b[p] + b[size] >= low[p] && below(b[p], p));
+      },
+      covers: (bound) => {
+        const b = Accessor.geometry(bound);
+
+        return axes.every(([p, size]) => b[p] >= low[p] && below(b[p] + b[size], p));
+      },
+      holds: (item) => axes.every(([p]) => item[p] >= low[p] && below(item[p], p)),
+    };
+  }
+
+  function summarizeRegion(n, name, reducer, { reaches, covers, holds }) {
+    // Reduce the items that pass the tests, using a node's cached summary
+    //   when every item under it does
+    const walk = (current) => {
+      const loose = Node.looseBoundary(current);
+
+      if (!reaches(loose)) {
+        return reducer.initial;
+      }
+
+      if (current.has('summary') && covers(loose)) {
+        return current.get('summary').get(name);
+      }
+
+      const own = current
+        .get('children')
+        .concat(current.get('overlappingChildren'))
+        .filter((item) => holds(bounds(current, item)))
+        .reduce((acc, item) => reducer.reduce(acc, item), reducer.initial);
+
+      if (Node.isLeaf(current)) {
+        return own;
+      }
+
+      return current
+        .get('quadrants')
+        .reduce((acc, q) => reducer.combine(acc, walk(q)), own);
+    };
+
+    return walk(n);
+  }
+
+  function summarizeAll(n, name, reducer, region) {
+    // Without a region the root's summary already holds the answer
+    if (!check.undefined(region)) {
+      return summarizeRegion(n, name, reducer, regionTests(n, region));
+    }
+
+    return n.has('summary')
+      ? n.get('summary').get(name)
+      : Traversal.items(n).reduce((acc, item) => reducer.reduce(acc, item), reducer.initial);
+  }
+
+  function aggregate(n, name, region) {
+    Validation.node(n, 'aggregate');
+
+    if (!check.undefined(region)) {
+      Validation.boundary(n, region, 'aggregate', Errors.InvalidArgumentError);
+    }
+
+    return summarizeAll(n, name, reducerOf(n, name, 'aggregate'), region);
+  }
+
+  function count(n, region) {
+    Validation.node(n, 'count');
+
+    if (!check.undefined(region)) {
+      Validation.boundary(n, region, 'count', Errors.InvalidArgumentError);
+    }
+
+    return summarizeAll(n, 'count', reducerOf(n, 'count', 'count'), region);
+  }
+
+  function densityGrid(n, columns, rows) {
+    Validation.node(n, 'densityGrid');
+    planar(n, 'densityGrid');
+    Validation.argument(
+      check.integer(columns) && columns > 0 && check.integer(rows) && rows > 0,
+      { columns, rows },
+      'densityGrid',
+      'columns and rows must be positive integers'
+    );
+
+    // Split the root's boundary into rows of cells. A point is counted in
+    //   one cell, a rectangle in every cell it overlaps.
+    const b = Accessor.geometry(n.get('boundary'));
+    const counter = reducerOf(n, 'count', 'densityGrid');
+
+    // Neighbouring cells share their edges exactly, and the last ones end
+    //   on the tree's edge
+    const edge = (i, cells, p, size) => (i === cells ? b[p] + b[size] : b[p] + i * b[size] / cells);
+
+    const cell = (column, row) => {
+      const low = { x: edge(column, columns, 'x', 'width'), y: edge(row, rows, 'y', 'height') };
+      const high = {
+        x: edge(column + 1, columns, 'x', 'width'),
+        y: edge(row + 1, rows, 'y', 'height'),
+      };
+
+      if (Node.isPointMode(n)) {
+        return summarizeRegion(n, 'count', counter, cellTests(low, high, {
+          x: column === columns - 1,
+          y: row === rows - 1,
+        }));
+      }
+
+      return summarizeRegion(n, 'count', counter, regionTests(n, {
+        x: low.x,
+        y: low.y,
+        width: high.x - low.x,
+        height: high.y - low.y,
+      }));
+    };
+
+    return list(range(0, rows).map((row) => list(range(0, columns).map((column) => (
+      cell(column, row)
+    )))));
+  }
+
+  function sweep(n, item, dt, { filter = () => true, mask } = {}) {
+    Validation.node(n, 'sweep');
+    planar(n, 'sweep');
+    Validation.item(n, item, 'sweep');
+    Validation.argument(
+      check.number(dt) && dt >= 0,
+      dt,
+      'sweep',
+      'dt must be a non-negative number'
+    );
+    checkMask(n, mask, 'sweep');
+
+    // Items without a velocity stand still
+    const velocity = {
+      x: Accessor.has(item, 'vx') ? Accessor.read(item, 'vx') : 0,
+      y: Accessor.has(item, 'vy') ? Accessor.read(item, 'vy') : 0,
+    };
+
+    Validation.position(n, velocity, 'sweep');
+
+    // Only quadrants the item's path crosses can hold anything it hits.
+    //   The items in them are tested where they are now.
+    const moving = bounds(n, item);
+    const path = Geometry.sweptBounds(moving, velocity, dt);
+
+    return query(n, (b) => Geometry.overlaps(b, path), mask)
+      .filter((other) => !is(other, item) && filter(other))
+      .map((other) => map({
+        item: other,
+        time: Geometry.timeOfImpact(moving, velocity, bounds(n, other)),
+      }))
+      .filter((hit) => hit.get('time') <= dt)
+      .sortBy((hit) => hit.get('time'));
+  }
+
+  function queueOf(entries = []) {
+    // A binary min-heap of { distance } entries. Entries at the same
+    //   distance come off in the order they went on.
+    const heap = [];
+    let added = 0;
+
+    const before = (a, b) => (
+      a.distance < b.distance || (a.distance === b.distance && a.order < b.order)
+    );
+
+    const swap = (i, j) => {
+      [heap[i], heap[j]] = [heap[j], heap[i]];
+    };
+
+    const push = (entry) => {
+      heap.push(Object.assign({}, entry, { order: added }));
+      added += 1;
+
+      let i = heap.length - 1;
+
+      while (i > 0 && before(heap[i], heap[Math.floor((i - 1) / 2)])) {
+        swap(i, Math.floor((i - 1) / 2));
+        i = Math.floor((i - 1) / 2);
+      }
+    };
+
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+
+      if (heap.length > 0) {
+        heap[0] = last;
+
+        let i = 0;
+
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+
+          if (left < heap.length && before(heap[left], heap[smallest])) {
+            smallest = left;
+          }
+
+          if (right < heap.length && before(heap[right], heap[smallest])) {
+            smallest = right;
+          }
+
+          if (smallest === i) {
+            break;
+          }
+
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+
+      return top;
+    };
+
+    entries.forEach(push);
+
+    return { push, pop, isEmpty: () => heap.length === 0 };
+  }
+
+  function closest(n, measure, limit, { maxDistance = Infinity, filter = () => true, mask } = {}) {
+    // The queue holds nodes and items ordered by how far away measure puts
+    //   their boundaries. A node is never further away than anything inside
+    //   it, so items are popped off the queue in order of distance. Anything
+    //   measured as Infinity is out of reach, and nodes with nothing in mask
+    //   hold nothing worth finding, so neither is ever queued.
+    const nodeEntry = (q) => ({ node: q, distance: measure(Node.looseBoundary(q)) });
+
+    const reachable = (entry) => entry.distance <= maxDistance && entry.distance < Infinity;
+
+    const expand = (queue, current) => {
+      current
+        .get('children')
+        .concat(current.get('overlappingChildren'))
+        .filter((item) => Node.inMask(mask, Node.category(current, item)) && filter(item))
+        .map((item) => ({ item, distance: measure(bounds(current, item)) }))
+        .filter(reachable)
+        .forEach(queue.push);
+
+      if (!Node.isLeaf(current)) {
+        current
+          .get('quadrants')
+          .toList()
+          .filter((q) => Node.inMask(mask, q.get('mask')))
+          .map(nodeEntry)
+          .filter(reachable)
+          .forEach(queue.push);
+      }
+    };
+
+    const root = nodeEntry(n);
+    const queue = queueOf(reachable(root) && Node.inMask(mask, n.get('mask')) ? [root] : []);
+    let results = list();
+
+    while (!queue.isEmpty() && results.count() < limit) {
+      const entry = queue.pop();
+
+      if (entry.node) {
+        expand(queue, entry.node);
+      } else {
+        results = results.push(map({ item: entry.item, distance: entry.distance }));
+      }
+    }
+
+    return results;
+  }
+
+  function nearest(n, point, k = 1, options = {}) {
+    Validation.node(n, 'nearest');
+    Validation.position(n, point, 'nearest', Errors.InvalidArgumentError);
+    Validation.argument(check.integer(k) && k > 0, k, 'nearest', 'k must be a positive integer');
+    checkMask(n, options.mask, 'nearest');
+
+    const axes = Axes.of(n);
+
+    return closest(n, (b) => Geometry.distance(b, point, axes), k, options);
+  }
+
+  function raycast(n, origin, direction, options = {}) {
+    const { maxDistance = Infinity, all = false, filter, mask } = options;
+
+    Validation.node(n, 'raycast');
+    planar(n, 'raycast');
+    Validation.position(n, origin, 'raycast', Errors.InvalidArgumentError);
+    Validation.position(n, direction, 'raycast', Errors.InvalidArgumentError);
+
+    const { x: dx, y: dy } = Accessor.geometry(direction);
+
+    Validation.argument(dx !== 0 || dy !== 0, direction, 'raycast', 'direction must not be zero');
+    Validation.argument(
+      (check.number(maxDistance) || maxDistance === Infinity) && maxDistance >= 0,
+      maxDistance,
+      'raycast',
+      'maxDistance must be a non-negative number'
+    );
+    checkMask(n, mask, 'raycast');
+
+    // Nodes are visited front to back by the distance at which the ray
+    //   enters them, so quadrants the ray misses are never visited
+    const { x: ox, y: oy } = Accessor.geometry(origin);
+    const length = Math.sqrt(dx * dx + dy * dy);
+
+    const hits = closest(
+      n,
+      (b) => Geometry.rayDistance(b, origin, direction),
+      all ? Infinity : 1,
+      { maxDistance, filter, mask }
+    ).map((hit) => hit.set('point', position(
+      ox + dx / length * hit.get('distance'),
+      oy + dy / length * hit.get('distance')
+    )));
+
+    return all ? hits : hits.first();
+  }
+
+  function collisionsWith(n, other, { filter = () => true, mask } = {}) {
+    // Pairs are ordered [item from n, item from other]. With a mask,
+    //   both items of a pair have to be in it.
+    Validation.node(n, 'collisionsWith');
+    Validation.node(other, 'collisionsWith');
+    checkMask(n, mask, 'collisionsWith');
+    checkMask(other, mask, 'collisionsWith');
+
+    if (!Node.inMask(mask, n.get('mask')) || !Node.inMask(mask, other.get('mask'))) {
+      return list();
+    }
+
+    const own = n
+      .get('children')
+      .concat(n.get('overlappingChildren'))
+      .filter((a) => Node.inMask(mask, Node.category(n, a)))
+      .reduce((acc, a) => (
+        search(other, bounds(n, a), { mask })
+          .filter((b) => filter(a, b))
+          .reduce((l, b) => l.push(list.of(a, b)), acc)
+      ), list());
+
+    if (Node.isLeaf(n)) {
+      return own;
+    }
+
+    return n
+      .get('quadrants')
+      .filter((q) => (
+        Geometry.overlaps(
+          Node.looseBoundary(q),
+          Node.looseBoundary(other),
+          Accessor.geometry,
+          Axes.of(n)
+        )
+      ))
+      .reduce((acc, q) => acc.concat(collisionsWith(q, other, { filter, mask })), own);
+  }
+
+  function collisions(n, { filter = () => true, mask } = {}) {
+    // Each item is only tested against the items that share its node
+    //   and the items in the nodes above it, so every pair is found once.
+    //   Loose quadrants can overlap, so siblings are also tested
+    //   against each other. With a mask, both items of a pair have to be
+    //   in it, so quadrants with nothing in it are skipped.
+    Validation.node(n, 'collisions');
+    checkMask(n, mask, 'collisions');
+
+    const overlaps = overlapTest(n);
+    const loose = n.get('options').has('loose');
+
+    const collide = (current, above) => {
+      const own = current
+        .get('children')
+        .concat(current.get('overlappingChildren'))
+        .filter((item) => Node.inMask(mask, Node.category(n, item)));
+
+      const pairs = own.reduce((acc, a, i) => (
+        above
+          .concat(own.skip(i + 1))
+          .filter((b) => overlaps(bounds(n, a), bounds(n, b)) && filter(a, b))
+          .reduce((l, b) => l.push(list.of(a, b)), acc)
+      ), list());
+
+      if (Node.isLeaf(current)) {
+        return pairs;
+      }
+
+      const candidates = above.concat(own);
+      const quadrants = current
+        .get('quadrants')
+        .toList()
+        .filter((q) => Node.inMask(mask, q.get('mask')));
+
+      // Strict quadrants only share edges, so their items never collide
+      const siblingPairs = loose ? quadrants.reduce((acc, q, i) => (
+        quadrants
+          .skip(i + 1)
+          .reduce((l, sibling) => l.concat(collisionsWith(q, sibling, { filter, mask })), acc)
+      ), pairs) : pairs;
+
+      return quadrants
+        .reduce((acc, q) => acc.concat(collide(
+          q,
+          candidates.filter((b) => overlaps(Node.looseBoundary(q), bounds(n, b)))
+        )), siblingPairs);
+    };
+
+    return collide(n, list());
+  }
+
+  function diff(prev, next) {
+    // An Immutable Map of Lists: added, removed and moved. Moves are found by
+    //   id, so without an idKey moved is always empty and an item whose value
+    //   changed is in removed as it was and in added as it is now.
+    Validation.node(prev, 'diff');
+    Validation.node(next, 'diff');
+
+    const everything = (n) => Traversal.items(n).toList();
+
+    // Gather the items of every pair of nodes that differ, skipping
+    //   quadrants the two versions still share
+    const changes = (a, b) => {
+      if (a === b) {
+        return [list(), list()];
+      }
+
+      if (Node.isLeaf(a) || Node.isLeaf(b) || !is(a.get('boundary'), b.get('boundary'))) {
+        return [everything(a), everything(b)];
+      }
+
+      return a.get('quadrants').reduce(([before, after], q, direction) => {
+        const [qBefore, qAfter] = changes(q, b.get('quadrants').get(direction));
+
+        return [before.concat(qBefore), after.concat(qAfter)];
+      }, [
+        a.get('children').concat(a.get('overlappingChildren')),
+        b.get('children').concat(b.get('overlappingChildren')),
+      ]);
+    };
+
+    const [before, after] = changes(prev, next);
+    const idKey = idKeyOf(next);
+
+    if (check.undefined(idKey)) {
+      // Without ids, items that only changed node cancel out by value
+      //   and moves can't be told apart from a removal and an addition
+      const subtract = (l, other) => {
+        const remaining = other.countBy((item) => item).asMutable();
+
+        return l.filter((item) => {
+          const left = remaining.get(item, 0);
+          remaining.set(item, left - 1);
+
+          return left <= 0;
+        });
+      };
+
+      return map({
+        added: subtract(after, before),
+        removed: subtract(before, after),
+        moved: list(),
+      });
+    }
+
+    const byId = (l) => l.reduce((acc, item) => acc.set(Accessor.read(item, idKey), item), map());
+    const beforeById = byId(before);
+    const afterById = byId(after);
+
+    return map({
+      added: afterById.filter((item, id) => !beforeById.has(id)).toList(),
+      removed: beforeById.filter((item, id) => !afterById.has(id)).toList(),
+      moved: afterById.filter((item, id) => (
+        beforeById.has(id) && !is(beforeById.get(id), item)
+      )).toList(),
+    });
+  }
+
+  function stats(n) {
+    Validation.node(n, 'stats');
+
+    const all = Traversal.nodes(n).toList();
+    const levelOf = (current) => current.get('depth') - n.get('depth');
+    const leaves = all.filter((current) => Node.isLeaf(current));
+    const deepest = all.map(levelOf).max();
+
+    const perLevel = (key) => range(0, deepest + 1)
+      .map((level) => all
+        .filter((current) => levelOf(current) === level)
+        .reduce((acc, current) => acc + current.get(key).count(), 0))
+      .toList();
+
+    const itemsPerLevel = perLevel('children')
+      .zipWith((a, b) => a + b, perLevel('overlappingChildren'));
+
+    return map({
+      nodes: all.count(),
+      leaves: leaves.count(),
+      items: itemsPerLevel.reduce((a, b) => a + b, 0),
+      maxDepth: deepest,
+      averageDepth: leaves.reduce((acc, leaf) => acc + levelOf(leaf), 0) / leaves.count(),
+      itemsPerLevel,
+      overlappingPerLevel: perLevel('overlappingChildren'),
+    });
+  }
+
+  function validate(n) {
+    // Check every invariant insert, search and remove rely on, returning a
+    //   list of { path, message } for each one that doesn't hold. Only the
+    //   root has to be a node; anything wrong below it is reported.
+    Validation.node(n, 'validate');
+
+    let violations = list();
+
+    const report = (path, message) => {
+      violations = violations.push(map({ path, message }));
+    };
+
+    const index = n.get('index');
+    const idKey = idKeyOf(n);
+
+    Traversal.traverse(n, (current, path) => {
+      const own = current.get('children').concat(current.get('overlappingChildren'));
+      const region = path.isEmpty() ? current.get('boundary') : Node.looseBoundary(current);
+
+      if (current.get('depth') !== n.get('depth') + path.count()) {
+        report(path, 'depth does not match the position of the node');
+      }
+
+      if (current.get('depth') > current.get('maxDepth')) {
+        report(path, 'node is deeper than maxDepth');
+      }
+
+      own
+        .filter((item) => (
+          !Geometry.within(region, bounds(current, item), Accessor.geometry, Axes.of(current))
+        ))
+        .forEach(() => report(path, 'item lies outside its node'));
+
+      if (!check.undefined(index)) {
+        own
+          .filter((item) => !is(index.get(Accessor.read(item, idKey)), path))
+          .forEach(() => report(path, 'index does not point at item'));
+      }
+
+      if (current.has('summary') && !is(Node.summarize(current), current)) {
+        report(path, 'summary is out of date');
+      }
+
+      if (Node.isLeaf(current)) {
+        if (!current.get('overlappingChildren').isEmpty()) {
+          report(path, 'leaf has overlapping children');
+        }
+
+        if (Node.isSplittable(current)) {
+          report(path, 'leaf holds more than maxChildren');
+        }
+
+        return false;
+      }
+
+      if (!current.get('children').isEmpty()) {
+        report(path, 'split node holds children');
+      }
+
+      const quadrants = current.get('quadrants');
+
+      if (quadrants.some((q) => check.null(q))) {
+        report(path, 'split node is missing quadrants');
+
+        // There's nothing to walk into, so the quadrants are skipped
+        return false;
+      }
+
+      const expected = Node.split(current.set('quadrants', quadrants.map(() => null)))
+        .get('quadrants');
+
+      quadrants
+        .filter((q, direction) => !is(q.get('boundary'), expected.get(direction).get('boundary')))
+        .forEach((q, direction) => report(path, `${direction} quadrant does not tile its parent`));
+
+      current
+        .get('overlappingChildren')
+        .filter((item) => fits(quadrants.get(determineQuadrant(current, item)), item))
+        .forEach(() => report(path, 'overlapping child fits in a quadrant'));
+
+      return true;
+    });
+
+    if (!check.undefined(index) && index.count() !== Traversal.items(n).count()) {
+      report(list(), 'index holds ids that are not in the tree');
+    }
+
+    return violations;
+  }
+
+  function clearNode(n) {
     if (check.null(n)) {
       return null;
     }
 
-    assert(
-      check.all(
-        ['boundary', 'quadrants', 'depth', 'maxDepth', 'maxChildren']
-          .map((key) => n.has(key))
-      ),
-      'Missing node properties'
-    );
+    Validation.node(n, 'clear');
 
     const clearList = (l) => l.clear();
+    const cleared = n.has('index') ? n.update('index', (index) => index.clear()) : n;
 
-    return n
+    return Node.summarize(cleared
       .update('children', clearList)
       .update('overlappingChildren', clearList)
-      .update('quadrants', (q) => (
-        q
-          .update('top-left', clear)
-          .update('top-right', clear)
-          .update('bottom-left', clear)
-          .update('bottom-right', clear)
-          .set('top-left', null)
-          .set('top-right', null)
-          .set('bottom-left', null)
-          .set('bottom-right', null)
-      ));
+      .update('quadrants', (q) => q.map(clearNode).map(() => null)));
+  }
+
+  function clearWithEvents(n) {
+    const tree = clearNode(n);
+
+    return map({ tree, events: list.of(event('clear', list(), tree)) });
+  }
+
+  function clear(n) {
+    return hasHook(n) ? notify(clearWithEvents(n)) : clearNode(n);
+  }
+
+  function withMutations(n, fn) {
+    // Nodes along the path of each change are made mutable the first time
+    //   they're touched, so later changes edit them in place instead of
+    //   copying them. Untouched quadrants are still shared with n.
+    const owned = new Set();
+    let root = n;
+
+    const own = (value) => {
+      if (owned.has(value)) {
+        return value;
+      }
+
+      const mutable = value.asMutable();
+      owned.add(mutable);
+
+      return mutable;
+    };
+
+    const prepare = (current, path) => {
+      const m = own(current)
+        .set('children', own(current.get('children')))
+        .set('overlappingChildren', own(current.get('overlappingChildren')));
+
+      if (m.has('index')) {
+        m.set('index', own(m.get('index')));
+      }
+
+      if (path.isEmpty() || Node.isLeaf(m)) {
+        return m;
+      }
+
+      const direction = path.first();
+      const quadrants = own(m.get('quadrants'));
+
+      quadrants.set(direction, prepare(quadrants.get(direction), path.rest()));
+
+      return m.set('quadrants', quadrants);
+    };
+
+    // Trees with onEvent get the same events as they would outside, as each
+    //   change is made. Their changes are made persistently, since an event
+    //   holding a node that later changes edit in place would show them too,
+    //   and a handler could change the result through it.
+    const hooked = hasHook(n);
+
+    const mutable = {
+      insert(item) {
+        Validation.node(root, 'insert');
+        Validation.item(root, item, 'insert');
+
+        // Growing makes a new root, so there's nothing to edit in place
+        if (!inside(root, item)) {
+          root = insert(root, item);
+          return mutable;
+        }
+
+        const path = locate(root, item);
+
+        root = hooked
+          ? notify(insertTracked(root, item, path))
+          : insertAt(prepare(root, path), item, path);
+        return mutable;
+      },
+      batchInsert(items) {
+        items.forEach((item) => mutable.insert(item));
+        return mutable;
+      },
+      remove(item) {
+        Validation.node(root, 'remove');
+        Validation.item(root, item, 'remove');
+
+        const path = pathOf(root, item);
+
+        if (check.undefined(path)) {
+          return mutable;
+        }
+
+        root = hooked
+          ? notify(removeTracked(root, item, path))
+          : removeFrom(prepare(root, path), item, path);
+        return mutable;
+      },
+      removeById(id) {
+        const item = get(root, id);
+
+        if (!check.undefined(item)) {
+          mutable.remove(item);
+        }
+
+        return mutable;
+      },
+      update(oldItem, newItem) {
+        // Nodes are edited in place, so whether oldItem is there is checked first
+        Validation.item(root, oldItem, 'update');
+
+        if (!heldAt(root, oldItem, pathOf(root, oldItem))) {
+          return mutable;
+        }
+
+        return mutable.remove(oldItem).insert(newItem);
+      },
+      clear() {
+        root = clear(root);
+        return mutable;
+      },
+      get: (id) => get(root, id),
+      has: (id) => has(root, id),
+      search: (item) => search(root, item),
+    };
+
+    fn(mutable);
+
+    owned.forEach((value) => value.asImmutable());
+
+    return root;
   }
 
   return {
     create,
     insert,
+    insertWithEvents,
+    remove,
+    removeWithEvents,
+    removeById,
+    update,
+    get,
+    has,
     search,
+    searchRadius,
+    searchPoint,
+    searchPolygon,
+    searchSegment,
+    nearest,
+    raycast,
+    sweep,
+    count,
+    aggregate,
+    densityGrid,
+    collisions,
+    collisionsWith,
     clear,
+    clearWithEvents,
     batchInsert,
+    batchInsertWithEvents,
+    fromItems,
+    withMutations,
+    diff,
+    toJSON,
+    fromJSON,
+    toBuffer,
+    fromBuffer,
+    nodes: Traversal.nodes,
+    items: Traversal.items,
+    traverse: Traversal.traverse,
+    map: Traversal.mapItems,
+    filter: Traversal.filterItems,
+    reduce: Traversal.reduceItems,
+    stats,
+    validate,
+    InvalidItemError: Errors.InvalidItemError,
+    InvalidNodeError: Errors.InvalidNodeError,
+    InvalidOptionsError: Errors.InvalidOptionsError,
+    InvalidArgumentError: Errors.InvalidArgumentError,
+    OutOfBoundsError: Errors.OutOfBoundsError,
   };
 }());
 
@@ -0,0 +1,259 @@
+import check from 'check-types';
+import { List as list, Map as map, Range as range, is } from 'immutable';
+
+import Errors from './errors.js';
+import Geometry from './geometry.js';
+import Node from './node.js';
+import Traversal from './traversal.js';
+import Validation from './validation.js';
+import boundary from './../structs/boundary.js';
+import node from './../structs/node.js';
+
+const RegionQuadtree = (function RegionQuadtree() {
+  // A region quadtree covers a grid of cells, each holding a value. A leaf
+  //   holds the value of every cell it covers, so a uniform quadrant is a
+  //   single leaf however many cells it spans. The root is the smallest
+  //   power of two square over the grid, and the grid's size is kept in the
+  //   options as columns and rows. Cells past the grid's edge hold undefined
+  //   and can't be read or written.
+
+  function leaf(n, value) {
+    return n
+      .update('quadrants', (q) => q.map(() => null))
+      .set('value', value);
+  }
+
+  function collapse(n) {
+    // Quadrants that all hold the same value become one leaf again
+    const quadrants = n.get('quadrants');
+    const value = quadrants.first().get('value');
+    const uniform = quadrants.every((q) => Node.isLeaf(q) && is(q.get('value'), value));
+
+    return uniform ? leaf(n, value) : n;
+  }
+
+  function divide(n) {
+    // Split a leaf into quadrants that all keep its value
+    const value = n.get('value');
+
+    return Node.split(n.delete('value'))
+      .update('quadrants', (q) => q.map((quadrant) => quadrant.set('value', value)));
+  }
+
+  function holds(n, x, y) {
+    // Cells are half open, so each one lies in exactly one quadrant
+    const b = n.get('boundary');
+
+    return x >= b.get('x') && x < b.get('x') + b.get('width') &&
+      y >= b.get('y') && y < b.get('y') + b.get('height');
+  }
+
+  function inGrid(n) {
+    const b = n.get('boundary');
+    const options = n.get('options');
+
+    return b.get('x') < options.get('columns') && b.get('y') < options.get('rows');
+  }
+
+  function checkCell(n, x, y, fn) {
+    Validation.node(n, fn);
+
+    Validation.argument(
+      check.integer(x) && check.integer(y),
+      { x, y },
+      fn,
+      'Cell coordinates must be integers'
+    );
+
+    const options = n.get('options');
+
+    if (x < 0 || y < 0 || x >= options.get('columns') || y >= options.get('rows')) {
+      throw new Errors.OutOfBoundsError({ x, y }, fn);
+    }
+  }
+
+  function checkValue(value, fn) {
+    if (check.undefined(value)) {
+      throw new Errors.InvalidItemError(value, fn, 'Cells can\'t hold undefined');
+    }
+  }
+
+  function fromGrid(grid) {
+    // grid is an array of rows, so a cell's value is grid[y][x]
+    const valid = check.array(grid) && grid.length > 0 &&
+      check.array(grid[0]) && grid[0].length > 0 &&
+      grid.every((row) => check.array(row) && row.length === grid[0].length);
+
+    if (!valid) {
+      throw new Errors.InvalidItemError(grid, 'fromGrid', 'Expected equal, non-empty rows');
+    }
+
+    grid.forEach((row) => row.forEach((value) => checkValue(value, 'fromGrid')));
+
+    const rows = grid.length;
+    const columns = grid[0].length;
+    const levels = Math.ceil(Math.log2(Math.max(rows, columns)));
+    const options = map({ columns, rows });
+
+    // Quadrants are built before their parent, which collapses them
+    //   when they turn out to be uniform
+    const build = (x, y, side, depth) => {
+      const n = node(boundary(x, y, side, side), 1, Math.max(levels, 1), depth, options);
+
+      if (side === 1) {
+        return leaf(n, y < rows && x < columns ? grid[y][x] : undefined);
+      }
+
+      return collapse(Node.split(n).update('quadrants', (q) => q.map((quadrant) => build(
+        quadrant.getIn(['boundary', 'x']),
+        quadrant.getIn(['boundary', 'y']),
+        side / 2,
+        depth + 1
+      ))));
+    };
+
+    return build(0, 0, Math.pow(2, levels), 0);
+  }
+
+  function locate(n, x, y) {
+    return Node.isLeaf(n)
+      ? n
+      : locate(n.get('quadrants').find((q) => holds(q, x, y)), x, y);
+  }
+
+  function leafAt(n, x, y) {
+    checkCell(n, x, y, 'leafAt');
+
+    return locate(n, x, y);
+  }
+
+  function valueAt(n, x, y) {
+    checkCell(n, x, y, 'valueAt');
+
+    return locate(n, x, y).get('value');
+  }
+
+  function fill(n, region, value) {
+    // Leaves the region covers take the value, leaves it only reaches into
+    //   are divided first, and quadrants that end up uniform collapse
+    const b = n.get('boundary');
+
+    // Leaves that already hold the value are left as they are
+    if (!Geometry.intersects(b, region) || (Node.isLeaf(n) && is(n.get('value'), value))) {
+      return n;
+    }
+
+    if (Geometry.within(region, b)) {
+      return leaf(n, value);
+    }
+
+    const divided = Node.isLeaf(n) ? divide(n) : n;
+
+    // Setting each quadrant in place keeps the untouched ones, and the
+    //   whole node when nothing changed
+    return collapse(divided.update('quadrants', (q) => q.reduce(
+      (acc, quadrant, direction) => acc.set(direction, fill(quadrant, region, value)),
+      q
+    )));
+  }
+
+  function fillRect(n, x, y, width, height, value) {
+    Validation.node(n, 'fillRect');
+    checkValue(value, 'fillRect');
+
+    Validation.argument(
+      [x, y, width, height].every(check.integer) && width >= 0 && height >= 0,
+      { x, y, width, height },
+      'fillRect',
+      'Expected integer coordinates and a non-negative integer size'
+    );
+
+    // The part of the rectangle past the grid's edge is left out
+    const options = n.get('options');
+    const left = Math.max(x, 0);
+    const top = Math.max(y, 0);
+    const region = boundary(
+      left,
+      top,
+      Math.max(Math.min(x + width, options.get('columns')) - left, 0),
+      Math.max(Math.min(y + height, options.get('rows')) - top, 0)
+    );
+
+    return fill(n, region, value);
+  }
+
+  function setCell(n, x, y, value) {
+    checkCell(n, x, y, 'setCell');
+    checkValue(value, 'setCell');
+
+    return fill(n, boundary(x, y, 1, 1), value);
+  }
+
+  function toGrid(n) {
+    Validation.node(n, 'toGrid');
+
+    const options = n.get('options');
+    const row = (y) => range(0, options.get('columns')).map((x) => locate(n, x, y).get('value'));
+
+    return range(0, options.get('rows'))
+      .map((y) => row(y).toArray())
+      .toArray();
+  }
+
+  function leaves(n) {
+    // Every leaf inside the grid, each one a uniform block of cells
+    Validation.node(n, 'leaves');
+
+    return Traversal.nodes(n)
+      .filter((current) => Node.isLeaf(current) && inGrid(current))
+      .toList();
+  }
+
+  function neighbors(n, target) {
+    // The leaves that share an edge with target, whatever their size.
+    //   Leaves that only touch it at a corner aren't neighbours.
+    Validation.node(n, 'neighbors');
+    Validation.node(target, 'neighbors');
+
+    const b = target.get('boundary');
+
+    const overlap = (c, position, size) => (
+      Math.min(c.get(position) + c.get(size), b.get(position) + b.get(size)) -
+      Math.max(c.get(position), b.get(position))
+    );
+
+    const sharesEdge = (c) => {
+      const dx = overlap(c, 'x', 'width');
+      const dy = overlap(c, 'y', 'height');
+
+      return (dx > 0 && dy === 0) || (dx === 0 && dy > 0);
+    };
+
+    const collect = (current) => {
+      if (!Geometry.overlaps(current.get('boundary'), b)) {
+        return list();
+      }
+
+      if (!Node.isLeaf(current)) {
+        return current.get('quadrants').toList().flatMap(collect);
+      }
+
+      return sharesEdge(current.get('boundary')) && inGrid(current) ? list.of(current) : list();
+    };
+
+    return collect(n);
+  }
+
+  return {
+    fromGrid,
+    valueAt,
+    leafAt,
+    setCell,
+    fillRect,
+    toGrid,
+    leaves,
+    neighbors,
+  };
+}());
+
+export default RegionQuadtree;
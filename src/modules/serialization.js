@@ -0,0 +1,472 @@
+import check from 'check-types';
+import { List as list, Map as map, fromJS } from 'immutable';
+
+import Accessor from './accessor.js';
+import Axes from './axes.js';
+import Errors from './errors.js';
+import Node from './node.js';
+import node from './../structs/node.js';
+import boundary from './../structs/boundary.js';
+
+const Serialization = (function Serialization() {
+  const VERSION = 1;
+  const MAGIC = [0x49, 0x51, 0x54]; // 'IQT'
+  const DIRECTIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+  function failure(value, fn) {
+    // Every error thrown while reading value carries it and the name of the
+    //   function it was passed to
+    return (message, path = list()) => {
+      const at = path.isEmpty() ? 'the root' : path.join('/');
+
+      throw new Errors.InvalidNodeError(value, fn, `Malformed quadtree: ${message} at ${at}`);
+    };
+  }
+
+  function serializableOptions(n) {
+    // Functions can't be stored, so they have to be passed back in on restore.
+    //   Aggregates are made of functions, so they're left out too.
+    return n
+      .get('options')
+      .filter((value, key) => !check.function(value) && key !== 'aggregates');
+  }
+
+  function restoreOptions(stored, options, fail) {
+    if (!check.object(stored)) {
+      fail('options must be an object');
+    }
+
+    const axes = stored.axes;
+
+    if (!check.undefined(axes) && !(check.array(axes) && axes.every((axis) => (
+      check.array(axis) && axis.length === 2 && axis.every(check.nonEmptyString)
+    )))) {
+      fail('axes must be [position, size] pairs');
+    }
+
+    return fromJS(stored).merge(map(options));
+  }
+
+  function itemCheck(opts, fail) {
+    // Every restored item needs the geometry the tree reads: a position in
+    //   point trees and a boundary in every other, on each of its axes
+    const axes = opts.has('axes') ? opts.get('axes') : Axes.PLANE;
+    const probe = node(map(Axes.keys(axes).map((key) => [key, 0])), 1, 1, 0, opts);
+    const keys = Node.itemKeys(probe);
+    const getBounds = Accessor.getBounds(probe);
+
+    const valid = (item) => check.object(item) &&
+      keys.every((k) => check.number(getBounds(item)[k]));
+
+    return (l, key, path) => {
+      if (!l.every(valid)) {
+        fail(`${key} must only hold items with a ${keys.join(', ')}`, path);
+      }
+
+      return l;
+    };
+  }
+
+  function toJSON(n) {
+    const encode = (current) => ({
+      boundary: current.get('boundary').toJS(),
+      children: current.get('children').toJS(),
+      overlappingChildren: current.get('overlappingChildren').toJS(),
+      quadrants: Node.isLeaf(current)
+        ? null
+        : current.get('quadrants').map(encode).toObject(),
+    });
+
+    return {
+      version: VERSION,
+      maxChildren: n.get('maxChildren'),
+      maxDepth: n.get('maxDepth'),
+      depth: n.get('depth'),
+      options: serializableOptions(n).toJS(),
+      root: encode(n),
+    };
+  }
+
+  function fromJSON(json, options = {}) {
+    const fail = failure(json, 'fromJSON');
+
+    if (!check.object(json)) {
+      fail('expected an object');
+    }
+
+    if (json.version !== VERSION) {
+      fail(`unsupported version ${json.version}`);
+    }
+
+    if (!check.integer(json.maxChildren) || !check.integer(json.maxDepth)) {
+      fail('maxChildren and maxDepth must be integers');
+    }
+
+    if (!check.integer(json.depth)) {
+      fail('depth must be an integer');
+    }
+
+    const opts = restoreOptions(json.options, options, fail);
+
+    const axes = opts.has('axes') ? opts.get('axes') : Axes.PLANE;
+    const boundaryKeys = Axes.keys(axes);
+    const directions = Axes.directions(axes);
+    const checkItems = itemCheck(opts, fail);
+
+    // Trees that read items with getBounds get their items back as they
+    //   were saved, every other tree gets Immutable Maps
+    const items = (value, key, path) => {
+      if (!check.array(value)) {
+        fail(`${key} must be an array`, path);
+      }
+
+      checkItems(value, key, path);
+
+      return opts.has('getBounds') ? list(value) : fromJS(value);
+    };
+
+    const decode = (value, depth, path) => {
+      if (!check.object(value)) {
+        fail('expected a node', path);
+      }
+
+      const b = value.boundary;
+
+      if (!check.object(b) || !boundaryKeys.every((key) => check.number(b[key]))) {
+        fail('missing boundary', path);
+      }
+
+      const n = node(
+        map(boundaryKeys.map((key) => [key, b[key]])),
+        json.maxChildren,
+        json.maxDepth,
+        depth,
+        opts
+      )
+        .set('children', items(value.children, 'children', path))
+        .set('overlappingChildren', items(value.overlappingChildren, 'overlappingChildren', path));
+
+      if (check.null(value.quadrants)) {
+        return Node.summarize(n);
+      }
+
+      if (!check.object(value.quadrants) || !directions.every((d) => d in value.quadrants)) {
+        fail(`quadrants must be null or hold all ${directions.length} quadrants`, path);
+      }
+
+      return Node.summarize(n.set('quadrants', map(directions.map((d) => (
+        [d, decode(value.quadrants[d], depth + 1, path.push(d))]
+      )))));
+    };
+
+    return decode(json.root, json.depth, list());
+  }
+
+  // Binary layout, all numbers little endian:
+  //   header:  'IQT', u8 version
+  //   tree:    u32 maxChildren, u32 maxDepth, i32 depth, string options,
+  //            f64 x, f64 y, f64 width, f64 height, node
+  //   node:    u8 has quadrants, u32 count, item * count,
+  //            u32 count, item * count, [node * 4]
+  //   item:    u8 flags (1: has width, 2: has height), f64 x, f64 y,
+  //            [f64 width], [f64 height], string rest of the item
+  //   string:  u32 length, utf-8 bytes (empty for nothing)
+  // Quadrant boundaries are halves of their parent's, so they aren't stored.
+
+  function encodeUtf8(s) {
+    // Written out by hand rather than with TextEncoder, which older Nodes lack.
+    //   A lone surrogate can't be encoded, so it's replaced like TextEncoder does.
+    const bytes = [];
+
+    Array.from(s).forEach((ch) => {
+      const c = ch.codePointAt(0);
+      const code = c >= 0xd800 && c <= 0xdfff ? 0xfffd : c;
+      const tail = (shift) => 0x80 + Math.floor(code / Math.pow(64, shift)) % 64;
+
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xc0 + Math.floor(code / 64), tail(0));
+      } else if (code < 0x10000) {
+        bytes.push(0xe0 + Math.floor(code / 4096), tail(1), tail(0));
+      } else {
+        bytes.push(0xf0 + Math.floor(code / 262144), tail(2), tail(1), tail(0));
+      }
+    });
+
+    return new Uint8Array(bytes);
+  }
+
+  function decodeUtf8(bytes) {
+    // decodeURIComponent checks the bytes strictly, throwing a URIError on
+    //   anything that isn't well formed utf-8
+    const hex = (b) => (b < 16 ? '%0' : '%') + b.toString(16);
+
+    return decodeURIComponent(Array.prototype.map.call(bytes, hex).join(''));
+  }
+
+  function writer() {
+    let buffer = new ArrayBuffer(256);
+    let view = new DataView(buffer);
+    let offset = 0;
+
+    const reserve = (size) => {
+      if (offset + size <= buffer.byteLength) {
+        return;
+      }
+
+      const grown = new ArrayBuffer(Math.max(buffer.byteLength * 2, offset + size));
+      new Uint8Array(grown).set(new Uint8Array(buffer));
+      buffer = grown;
+      view = new DataView(buffer);
+    };
+
+    const write = (size, fn) => {
+      reserve(size);
+      fn(offset);
+      offset += size;
+    };
+
+    const w = {
+      u8: (v) => write(1, (o) => view.setUint8(o, v)),
+      u32: (v) => write(4, (o) => view.setUint32(o, v, true)),
+      i32: (v) => write(4, (o) => view.setInt32(o, v, true)),
+      f64: (v) => write(8, (o) => view.setFloat64(o, v, true)),
+      string: (s) => {
+        const bytes = encodeUtf8(s);
+
+        w.u32(bytes.length);
+        write(bytes.length, (o) => new Uint8Array(buffer, o, bytes.length).set(bytes));
+      },
+      done: () => buffer.slice(0, offset),
+    };
+
+    return w;
+  }
+
+  function reader(buffer, fail) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const read = (size, fn) => {
+      if (offset + size > buffer.byteLength) {
+        fail('unexpected end of buffer');
+      }
+
+      const value = fn(offset);
+      offset += size;
+
+      return value;
+    };
+
+    const r = {
+      u8: () => read(1, (o) => view.getUint8(o)),
+      u32: () => read(4, (o) => view.getUint32(o, true)),
+      i32: () => read(4, (o) => view.getInt32(o, true)),
+      f64: () => read(8, (o) => view.getFloat64(o, true)),
+      string: () => {
+        const length = r.u32();
+
+        return read(length, (o) => {
+          try {
+            return decodeUtf8(new Uint8Array(buffer, o, length));
+          } catch (e) {
+            return fail('invalid utf-8 string');
+          }
+        });
+      },
+      json: () => {
+        const s = r.string();
+
+        if (s === '') {
+          return undefined;
+        }
+
+        try {
+          return JSON.parse(s);
+        } catch (e) {
+          return fail('invalid json');
+        }
+      },
+      done: () => offset === buffer.byteLength,
+    };
+
+    return r;
+  }
+
+  function toBuffer(n) {
+    // The binary layout stores geometry at x, y, width and height
+    if (n.get('options').has('axes')) {
+      throw new Errors.InvalidOptionsError(
+        n.get('options').get('axes'),
+        'toBuffer',
+        'Trees that aren\'t planar can only be saved with toJSON'
+      );
+    }
+
+    if (n.get('options').has('getBounds')) {
+      throw new Errors.InvalidOptionsError(
+        n.get('options').get('getBounds'),
+        'toBuffer',
+        'Trees with getBounds can only be saved with toJSON'
+      );
+    }
+
+    const w = writer();
+
+    const writeItem = (value) => {
+      const item = map.isMap(value) ? value : map(value);
+      const hasWidth = item.has('width');
+      const hasHeight = item.has('height');
+      const rest = item.delete('x').delete('y').delete('width').delete('height');
+
+      w.u8((hasWidth ? 1 : 0) + (hasHeight ? 2 : 0));
+      w.f64(item.get('x'));
+      w.f64(item.get('y'));
+
+      if (hasWidth) {
+        w.f64(item.get('width'));
+      }
+
+      if (hasHeight) {
+        w.f64(item.get('height'));
+      }
+
+      w.string(rest.isEmpty() ? '' : JSON.stringify(rest.toJS()));
+    };
+
+    const writeNode = (current) => {
+      w.u8(Node.isLeaf(current) ? 0 : 1);
+      w.u32(current.get('children').count());
+      current.get('children').forEach(writeItem);
+      w.u32(current.get('overlappingChildren').count());
+      current.get('overlappingChildren').forEach(writeItem);
+
+      if (!Node.isLeaf(current)) {
+        DIRECTIONS.forEach((d) => writeNode(current.get('quadrants').get(d)));
+      }
+    };
+
+    const b = n.get('boundary');
+
+    MAGIC.forEach(w.u8);
+    w.u8(VERSION);
+    w.u32(n.get('maxChildren'));
+    w.u32(n.get('maxDepth'));
+    w.i32(n.get('depth'));
+    w.string(JSON.stringify(serializableOptions(n).toJS()));
+    ['x', 'y', 'width', 'height'].forEach((key) => w.f64(b.get(key)));
+    writeNode(n);
+
+    return w.done();
+  }
+
+  function fromBuffer(input, options = {}) {
+    const fail = failure(input, 'fromBuffer');
+    let buffer = input;
+
+    if (ArrayBuffer.isView(input)) {
+      buffer = input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+    }
+
+    if (!(buffer instanceof ArrayBuffer)) {
+      fail('expected an ArrayBuffer');
+    }
+
+    const r = reader(buffer, fail);
+
+    if (!MAGIC.every((byte) => r.u8() === byte)) {
+      fail('not a quadtree buffer');
+    }
+
+    const version = r.u8();
+
+    if (version !== VERSION) {
+      fail(`unsupported version ${version}`);
+    }
+
+    const maxChildren = r.u32();
+    const maxDepth = r.u32();
+    const depth = r.i32();
+    const opts = restoreOptions(r.json(), options, fail);
+    const [x, y, width, height] = [r.f64(), r.f64(), r.f64(), r.f64()];
+
+    if (opts.has('axes')) {
+      fail('only planar trees are stored as buffers');
+    }
+
+    const readItem = () => {
+      const flags = r.u8();
+
+      if (flags > 3) {
+        fail('invalid item flags');
+      }
+      const geometry = { x: r.f64(), y: r.f64() };
+
+      if (flags % 2 === 1) {
+        geometry.width = r.f64();
+      }
+
+      if (flags >= 2) {
+        geometry.height = r.f64();
+      }
+
+      const rest = r.json();
+
+      return check.undefined(rest) ? map(geometry) : fromJS(rest).merge(geometry);
+    };
+
+    const checkItems = itemCheck(opts, fail);
+
+    const readItems = (key, path) => {
+      const count = r.u32();
+
+      return checkItems(list().withMutations((l) => {
+        for (let i = 0; i < count; i++) {
+          l.push(readItem());
+        }
+      }), key, path);
+    };
+
+    const readNode = (b, d, path) => {
+      const hasQuadrants = r.u8();
+
+      if (hasQuadrants > 1) {
+        fail('invalid node flags', path);
+      }
+
+      const n = node(b, maxChildren, maxDepth, d, opts)
+        .set('children', readItems('children', path))
+        .set('overlappingChildren', readItems('overlappingChildren', path));
+
+      if (!hasQuadrants) {
+        return Node.summarize(n);
+      }
+
+      // Split the empty node to get the quadrant boundaries, then fill them in
+      const split = Node.split(n);
+
+      return Node.summarize(DIRECTIONS.reduce((acc, direction) => acc.setIn(
+        ['quadrants', direction],
+        readNode(split.getIn(['quadrants', direction, 'boundary']), d + 1, path.push(direction))
+      ), split));
+    };
+
+    const tree = readNode(boundary(x, y, width, height), depth, list());
+
+    if (!r.done()) {
+      fail('unexpected data after the tree');
+    }
+
+    return tree;
+  }
+
+  return {
+    toJSON,
+    fromJSON,
+    toBuffer,
+    fromBuffer,
+  };
+}());
+
+export default Serialization;
@@ -0,0 +1,102 @@
+import check from 'check-types';
+import { List as list, Seq as seq } from 'immutable';
+
+import Node from './node.js';
+import Validation from './validation.js';
+
+const Traversal = (function Traversal() {
+  function quadrantsOf(n) {
+    return Node.isLeaf(n) ? list() : n.get('quadrants').toList();
+  }
+
+  function nodes(n) {
+    // A lazy pre-order walk: nothing is visited until the Seq is read,
+    //   and each read starts a new walk
+    return seq({
+      [Symbol.iterator]() {
+        const stack = [n];
+
+        return {
+          next() {
+            if (stack.length === 0) {
+              return { value: undefined, done: true };
+            }
+
+            const current = stack.pop();
+            quadrantsOf(current).reverse().forEach((q) => stack.push(q));
+
+            return { value: current, done: false };
+          },
+        };
+      },
+    });
+  }
+
+  function items(n) {
+    return nodes(n).flatMap((current) => (
+      current.get('children').concat(current.get('overlappingChildren'))
+    ));
+  }
+
+  function traverse(n, visitor, { order = 'pre' } = {}) {
+    Validation.argument(check.function(visitor), visitor, 'traverse', 'visitor must be a function');
+    Validation.argument(['pre', 'post', 'bfs'].includes(order), order, 'traverse', 'Unknown order');
+
+    // The visitor gets each node, the directions from n to it, and its
+    //   distance from n. Returning false skips the quadrants beneath it,
+    //   except in post order, where they have already been visited.
+    const depthFirst = (current, path) => {
+      if (order === 'pre' && visitor(current, path, path.count()) === false) {
+        return;
+      }
+
+      if (!Node.isLeaf(current)) {
+        current.get('quadrants').forEach((q, direction) => depthFirst(q, path.push(direction)));
+      }
+
+      if (order === 'post') {
+        visitor(current, path, path.count());
+      }
+    };
+
+    if (order !== 'bfs') {
+      depthFirst(n, list());
+      return;
+    }
+
+    const queue = [[n, list()]];
+
+    while (queue.length > 0) {
+      const [current, path] = queue.shift();
+
+      if (visitor(current, path, path.count()) !== false && !Node.isLeaf(current)) {
+        current.get('quadrants').forEach((q, direction) => queue.push([q, path.push(direction)]));
+      }
+    }
+  }
+
+  function mapItems(n, fn) {
+    return items(n).map(fn).toList();
+  }
+
+  function filterItems(n, predicate) {
+    return items(n).filter(predicate).toList();
+  }
+
+  function reduceItems(n, fn, initial) {
+    return check.undefined(initial)
+      ? items(n).reduce(fn)
+      : items(n).reduce(fn, initial);
+  }
+
+  return {
+    nodes,
+    items,
+    traverse,
+    mapItems,
+    filterItems,
+    reduceItems,
+  };
+}());
+
+export default Traversal;
@@ -0,0 +1,145 @@
+import check from 'check-types';
+import { Map as map } from 'immutable';
+
+import Accessor from './accessor.js';
+import Axes from './axes.js';
+import Errors from './errors.js';
+
+const Validation = (function Validation() {
+  const BOUNDARY_KEYS = ['x', 'y', 'width', 'height'];
+  const POSITION_KEYS = ['x', 'y'];
+  const NODE_KEYS = [
+    'boundary',
+    'quadrants',
+    'children',
+    'overlappingChildren',
+    'depth',
+    'maxDepth',
+    'maxChildren',
+    'options',
+  ];
+
+  function enabled(n) {
+    // Trees created with { validate: false } skip every check but their options
+    return !map.isMap(n) || !map.isMap(n.get('options')) ||
+      n.get('options').get('validate') !== false;
+  }
+
+  function boundaryKeys(axes) {
+    return axes === Axes.PLANE ? BOUNDARY_KEYS : Axes.keys(axes);
+  }
+
+  function positionKeys(axes) {
+    return axes === Axes.PLANE ? POSITION_KEYS : Axes.positions(axes);
+  }
+
+  function axesOf(n) {
+    // Checks made before a tree exists are against the plane
+    return map.isMap(n) && map.isMap(n.get('options')) ? Axes.of(n) : Axes.PLANE;
+  }
+
+  function itemKeys(n) {
+    // Point trees hold bare positions, every other tree holds boundaries
+    const axes = Axes.of(n);
+
+    return n.get('options').get('mode') === 'point' ? positionKeys(axes) : boundaryKeys(axes);
+  }
+
+  function isObject(value) {
+    return !check.null(value) && typeof value === 'object';
+  }
+
+  function hasNumbers(value, keys) {
+    return isObject(value) && keys.every((key) => check.number(Accessor.read(value, key)));
+  }
+
+  function node(n, fn, keys = NODE_KEYS) {
+    // Functions that only read part of a node can ask for just those keys
+    if (!enabled(n)) {
+      return;
+    }
+
+    if (!map.isMap(n) || !keys.every((key) => n.has(key))) {
+      throw new Errors.InvalidNodeError(n, fn, `Node must have ${keys.join(', ')}`);
+    }
+
+    if (keys.includes('boundary') && !hasNumbers(n.get('boundary'), boundaryKeys(axesOf(n)))) {
+      throw new Errors.InvalidNodeError(n, fn, 'Node must have a numeric boundary');
+    }
+  }
+
+  function item(n, value, fn) {
+    if (!enabled(n)) {
+      return;
+    }
+
+    const keys = itemKeys(n);
+
+    // Items are read the way the tree reads them, through getBounds
+    if (!isObject(value) || !hasNumbers(Accessor.getBounds(n)(value), keys)) {
+      throw new Errors.InvalidItemError(value, fn, `Item must have a numeric ${keys.join(', ')}`);
+    }
+
+    const categoryKey = n.get('options').get('categoryKey');
+
+    if (
+      !check.undefined(categoryKey) &&
+      Accessor.has(value, categoryKey) &&
+      !check.integer(Accessor.read(value, categoryKey))
+    ) {
+      throw new Errors.InvalidItemError(value, fn, `Item's ${categoryKey} must be an integer`);
+    }
+  }
+
+  function boundary(n, value, fn, ErrorType = Errors.InvalidItemError, axes = axesOf(n)) {
+    const keys = boundaryKeys(axes);
+
+    if (enabled(n) && !hasNumbers(value, keys)) {
+      throw new ErrorType(value, fn, `Expected a numeric ${keys.join(', ')}`);
+    }
+  }
+
+  function position(n, value, fn, ErrorType = Errors.InvalidItemError, axes = axesOf(n)) {
+    const keys = positionKeys(axes);
+
+    if (enabled(n) && !hasNumbers(value, keys)) {
+      throw new ErrorType(value, fn, `Expected a numeric ${keys.join(', ')}`);
+    }
+  }
+
+  function number(value, fn) {
+    if (!check.number(value)) {
+      throw new Errors.InvalidItemError(value, fn, 'Expected a number');
+    }
+  }
+
+  function option(condition, value, fn, message) {
+    // Options are checked even when validation is off, since they're only
+    //   read when a tree is made or a query is set up
+    if (!condition) {
+      throw new Errors.InvalidOptionsError(value, fn, message);
+    }
+  }
+
+  function argument(condition, value, fn, message) {
+    // Arguments to queries, like a radius or a number of neighbours,
+    //   are checked the same way, even when validation is off
+    if (!condition) {
+      throw new Errors.InvalidArgumentError(value, fn, message);
+    }
+  }
+
+  return {
+    enabled,
+    itemKeys,
+    node,
+    item,
+    boundary,
+    position,
+    number,
+    option,
+    argument,
+  };
+}());
+
+export default Validation;
@@ -1,11 +1,11 @@
 import { Map as map } from 'immutable';
-import { assert } from 'check-types';
 
+import Validation from './../modules/validation.js';
 import position from './position.js';
 
 function boundary(x, y, width = 0, height = 0) {
-  assert.number(width);
-  assert.number(height);
+  Validation.number(width, 'boundary');
+  Validation.number(height, 'boundary');
 
   return map({ width, height })
     .merge(position(x, y));
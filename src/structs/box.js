@@ -0,0 +1,14 @@
+import Validation from './../modules/validation.js';
+import boundary from './boundary.js';
+import position from './position.js';
+
+function box(x, y, z = 0, width = 0, height = 0, depth = 0) {
+  // A boundary in space, for octrees
+  Validation.number(depth, 'box');
+
+  return boundary(x, y, width, height)
+    .merge(position(x, y, z))
+    .set('depth', depth);
+}
+
+export default box;
@@ -1,30 +1,90 @@
 import { Map as map, List as list } from 'immutable';
-import check, { assert } from 'check-types';
+import check from 'check-types';
 
-function node(boundary, maxChildren = 4, maxDepth = 4, depth = 0) {
-  assert(
-    check.all(['x', 'y', 'width', 'height'].map((key) => boundary.has(key))),
-    'Missing boundary'
-  );
+import Axes from './../modules/axes.js';
+import Errors from './../modules/errors.js';
+import Validation from './../modules/validation.js';
 
-  assert.integer(maxChildren);
-  assert.greater(maxChildren, 0);
-  assert.integer(maxDepth);
-  assert.greater(maxDepth, 0);
-  assert.integer(depth);
-  assert.greaterOrEqual(depth, 0);
-
-  const quadrants = map({
-    'top-left': null,
-    'top-right': null,
-    'bottom-left': null,
-    'bottom-right': null,
-  });
+function node(boundary, maxChildren = 4, maxDepth = 4, depth = 0, options = map()) {
+  Validation.option(map.isMap(options), options, 'node', 'Options must be a map');
+
+  // Quadrants are made by split from an already checked parent,
+  //   so trees that skip validation skip it here too
+  const axes = check.undefined(options.get('axes')) ? Axes.PLANE : options.get('axes');
+
+  if (options.get('validate') !== false) {
+    Validation.boundary(undefined, boundary, 'node', Errors.InvalidNodeError, axes);
+
+    Validation.option(
+      check.integer(maxChildren) && maxChildren > 0,
+      maxChildren,
+      'node',
+      'maxChildren must be a positive integer'
+    );
+
+    Validation.option(
+      check.integer(maxDepth) && maxDepth > 0,
+      maxDepth,
+      'node',
+      'maxDepth must be a positive integer'
+    );
+
+    // Growable trees add roots above depth 0 instead of renumbering their nodes
+    if (!check.integer(depth) || (depth < 0 && !options.get('growable'))) {
+      throw new Errors.InvalidNodeError(depth, 'node', 'Depth must be a non-negative integer');
+    }
+  }
+
+  // One empty quadrant for each side of every axis: 4 in the plane, 8 in space
+  const quadrants = map(Axes.directions(axes).map((direction) => [direction, null]));
 
   const children = list();
   const overlappingChildren = list();
 
-  return map({ boundary, maxChildren, maxDepth, depth, quadrants, children, overlappingChildren });
+  const aggregates = options.get('aggregates');
+
+  // Trees with aggregates or categories keep a summary and a mask of
+  //   everything at or beneath each node, and of just its own items,
+  //   starting from nothing
+  const n = map({
+    boundary,
+    maxChildren,
+    maxDepth,
+    depth,
+    options,
+    quadrants,
+    children,
+    overlappingChildren,
+  }).withMutations((m) => {
+    if (!check.undefined(aggregates)) {
+      const empty = map(aggregates).map((reducer) => reducer.initial).set('count', 0);
+
+      m.set('summary', empty).set('ownSummary', empty);
+    }
+
+    if (options.has('categoryKey')) {
+      m.set('mask', 0).set('ownMask', 0);
+    }
+  });
+
+  const loose = options.get('loose');
+
+  if (check.undefined(loose)) {
+    return n;
+  }
+
+  // Loose nodes accept any item that fits in their boundary
+  //   scaled by the loose factor around its center
+  Validation.option(
+    check.number(loose) && loose >= 1,
+    loose,
+    'node',
+    'loose must be a number no less than 1'
+  );
+
+  return n.set('looseBoundary', list(axes).reduce((acc, [position, size]) => acc
+    .set(position, boundary.get(position) - boundary.get(size) * (loose - 1) / 2)
+    .set(size, boundary.get(size) * loose), boundary));
 }
 
 export default node;
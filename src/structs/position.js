@@ -1,14 +1,25 @@
 import { Map as map } from 'immutable';
-import { assert } from 'check-types';
+import check from 'check-types';
 
-function position(x = 0, y = 0) {
-  assert.number(x);
-  assert.number(y);
+import Validation from './../modules/validation.js';
 
-  return map({
+function position(x = 0, y = 0, z) {
+  Validation.number(x, 'position');
+  Validation.number(y, 'position');
+
+  const p = map({
     x,
     y,
   });
+
+  // Positions in space also have a z
+  if (check.undefined(z)) {
+    return p;
+  }
+
+  Validation.number(z, 'position');
+
+  return p.set('z', z);
 }
 
 export default position;
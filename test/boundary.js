@@ -2,7 +2,10 @@ import {assert} from 'chai';
 import should from 'should';
 
 import boundary from './../lib/structs/boundary.js';
+import box from './../lib/structs/box.js';
+import position from './../lib/structs/position.js';
 import Boundary from './../lib/modules/boundary.js';
+import Errors from './../lib/modules/errors.js';
 
 'use strict';
 
@@ -56,5 +59,153 @@ describe('Boundary', function(){
       // Boundary.within(b2, b1).should.be.false();
       // Boundary.within(b2, b3).should.be.false();
     });
+
+    it('should measure the distance from a point to a boundary', function(){
+      const b = boundary(10, 10, 10, 10);
+
+      Boundary.distance(b, position(15, 15)).should.equal(0);
+      Boundary.distance(b, position(25, 15)).should.equal(5);
+      Boundary.distance(b, position(23, 24)).should.equal(5);
+    });
+
+    it('should check if a boundary contains a point', function(){
+      const b = boundary(10, 10, 10, 10);
+
+      Boundary.containsPoint(b, position(15, 15)).should.be.true();
+      Boundary.containsPoint(b, position(20, 20)).should.be.true();
+      Boundary.containsPoint(b, position(21, 15)).should.be.false();
+    });
+
+    it('should check if a boundary intersects a circle', function(){
+      const b = boundary(10, 10, 10, 10);
+
+      Boundary.intersectsCircle(b, position(25, 15), 5).should.be.true();
+      Boundary.intersectsCircle(b, position(25, 25), 5).should.be.false();
+    });
+
+    it('should check if a boundary intersects a polygon', function(){
+      const b = boundary(10, 10, 10, 10);
+      const triangle = [position(0, 0), position(40, 0), position(0, 40)];
+      const around = [position(0, 0), position(40, 0), position(40, 40), position(0, 40)];
+      const across = [position(15, 0), position(16, 0), position(16, 40), position(15, 40)];
+      const away = [position(30, 30), position(40, 30), position(40, 40)];
+
+      Boundary.intersectsPolygon(b, triangle).should.be.true();
+      Boundary.intersectsPolygon(b, around).should.be.true();
+      Boundary.intersectsPolygon(b, across).should.be.true();
+      Boundary.intersectsPolygon(b, away).should.be.false();
+    });
+
+    it('should count boundaries that share an edge as overlapping', function(){
+      const b1 = boundary(0, 0, 10, 10);
+      const b2 = boundary(10, 0, 10, 10);
+
+      Boundary.intersects(b1, b2).should.be.false();
+      Boundary.overlaps(b1, b2).should.be.true();
+      Boundary.overlaps(b1, boundary(11, 0, 10, 10)).should.be.false();
+    });
+
+    it('should read plain objects and items through an accessor', function(){
+      const b = boundary(0, 0, 10, 10);
+      const getBounds = (item) => ({ x: item.pos[0], y: item.pos[1], width: item.size, height: item.size });
+
+      Boundary.within(b, { x: 1, y: 1, width: 2, height: 2 }).should.be.true();
+      Boundary.within(b, { pos: [1, 1], size: 2 }, getBounds).should.be.true();
+      Boundary.within(b, { pos: [9, 1], size: 2 }, getBounds).should.be.false();
+      Boundary.intersects(b, { pos: [9, 1], size: 2 }, getBounds).should.be.true();
+      Boundary.intersects({ x: 20, y: 0, width: 5, height: 5 }, { pos: [9, 1], size: 2 }, getBounds).should.be.false();
+      Boundary.containsPoint(b, { x: 5, y: 5 }).should.be.true();
+    });
+
+    it('should measure where a ray enters a boundary', function(){
+      const b = boundary(10, 10, 10, 10);
+
+      Boundary.rayDistance(b, position(0, 15), position(1, 0)).should.equal(10);
+      Boundary.rayDistance(b, position(0, 15), position(5, 0)).should.equal(10);
+      Boundary.rayDistance(b, position(15, 15), position(1, 0)).should.equal(0);
+      Boundary.rayDistance(b, position(0, 0), position(1, 1)).should.be.approximately(Math.sqrt(200), 1e-9);
+      Boundary.rayDistance(b, position(0, 15), position(-1, 0)).should.equal(Infinity);
+      Boundary.rayDistance(b, position(0, 5), position(1, 0)).should.equal(Infinity);
+
+      Boundary.intersectsRay(b, position(0, 15), position(1, 0)).should.be.true();
+      Boundary.intersectsRay(b, position(0, 15), position(1, 0), 5).should.be.false();
+      Boundary.intersectsRay(b, position(0, 15), position(0, 1)).should.be.false();
+    });
+
+    it('should check if a boundary intersects a segment', function(){
+      const b = boundary(10, 10, 10, 10);
+
+      Boundary.intersectsSegment(b, position(0, 15), position(30, 15)).should.be.true();
+      Boundary.intersectsSegment(b, position(0, 15), position(5, 15)).should.be.false();
+      Boundary.intersectsSegment(b, position(12, 12), position(14, 14)).should.be.true();
+      Boundary.intersectsSegment(b, position(0, 0), position(30, 5)).should.be.false();
+      Boundary.intersectsSegment(b, position(15, 15), position(15, 15)).should.be.true();
+    });
+
+    it('should find when a moving boundary first touches another', function(){
+      const wall = boundary(50, 0, 2, 100);
+      const bullet = boundary(0, 10, 1, 1);
+
+      Boundary.timeOfImpact(bullet, position(100, 0), wall).should.equal(0.49);
+      Boundary.timeOfImpact(bullet, position(-100, 0), wall).should.equal(Infinity);
+      Boundary.timeOfImpact(bullet, position(0, 100), wall).should.equal(Infinity);
+      Boundary.timeOfImpact(boundary(50, 10, 1, 1), position(0, 0), wall).should.equal(0);
+      Boundary.timeOfImpact(bullet, position(10, 10), boundary(5, 15, 2, 2)).should.equal(0.4);
+    });
+
+    it('should only count touching boundaries as a hit when heading into each other', function(){
+      const wall = boundary(50, 0, 2, 100);
+      const touching = boundary(49, 10, 1, 1);
+
+      Boundary.timeOfImpact(touching, position(100, 0), wall).should.equal(0);
+      Boundary.timeOfImpact(touching, position(-100, 0), wall).should.equal(Infinity);
+      Boundary.timeOfImpact(touching, position(0, 100), wall).should.equal(Infinity);
+      Boundary.timeOfImpact(touching, position(0, 0), wall).should.equal(Infinity);
+      Boundary.timeOfImpact(boundary(0, 100, 1, 1), position(100, 0), wall).should.equal(Infinity);
+    });
+
+    it('should bound the path of a moving boundary', function(){
+      Boundary.sweptBounds(boundary(10, 10, 2, 2), position(-5, 10), 2)
+        .should.eql({ x: 0, y: 10, width: 12, height: 22 });
+    });
+
+    it('should work in any number of dimensions', function(){
+      const space = [['x', 'width'], ['y', 'height'], ['z', 'depth']];
+      const room = box(0, 0, 0, 10, 10, 10);
+
+      Boundary.within(room, box(1, 1, 1, 2, 2, 2), undefined, space).should.be.true();
+      Boundary.within(room, box(1, 1, 9, 2, 2, 2), undefined, space).should.be.false();
+      Boundary.intersects(room, box(9, 9, 9, 2, 2, 2), undefined, space).should.be.true();
+      Boundary.intersects(room, box(1, 1, 10, 2, 2, 2), undefined, space).should.be.false();
+      Boundary.overlaps(room, box(1, 1, 10, 2, 2, 2), undefined, space).should.be.true();
+      Boundary.containsPoint(room, position(5, 5, 11), space).should.be.false();
+      Boundary.distance(room, position(13, 14, 10), space).should.equal(5);
+      Boundary.intersectsCircle(room, position(5, 5, 12), 2, space).should.be.true();
+
+      // Without axes only x and y are compared
+      Boundary.within(room, box(1, 1, 9, 2, 2, 2)).should.be.true();
+    });
+
+    it('should reject bad arguments', function(){
+      (function(){
+        Boundary.within(boundary(0, 0, 10, 10), position(1, 1));
+      }).should.throw(Errors.InvalidArgumentError);
+
+      (function(){
+        Boundary.distance(boundary(0, 0, 10, 10), { x: 1 });
+      }).should.throw(/Expected a numeric x, y \(in distance\)/);
+
+      (function(){
+        Boundary.intersectsCircle(boundary(0, 0, 10, 10), position(1, 1), -1);
+      }).should.throw(Errors.InvalidArgumentError);
+
+      (function(){
+        Boundary.intersectsPolygon(boundary(0, 0, 10, 10), [position(1, 1), position(2, 2)]);
+      }).should.throw(Errors.InvalidArgumentError);
+
+      (function(){
+        Boundary.rayDistance(boundary(0, 0, 10, 10), position(1, 1), position(0, 0));
+      }).should.throw(Errors.InvalidArgumentError);
+    });
   });
 });
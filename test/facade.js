@@ -0,0 +1,111 @@
+import {assert} from 'chai';
+import should from 'should';
+import { is } from 'immutable';
+
+import ImmutableQuadtrees from './../lib/index.js';
+
+'use strict';
+
+describe('QuadtreeMap', function(){
+  const { QuadtreeMap, Quadtree, boundary, position } = ImmutableQuadtrees;
+
+  const items = [
+    boundary(5, 6, 1, 2),
+    boundary(67, 24, 1, 1),
+    boundary(149, 121, 2, 1),
+    boundary(189, 76, 1, 1),
+    boundary(25, 195, 1, 2),
+    boundary(99, 0, 5, 2),
+    boundary(64, 120, 5, 7),
+    boundary(112, 57, 2, 2),
+    boundary(49, 49, 2, 2)
+  ];
+
+  describe('Entry point', function(){
+    it('should export the functions, structs and modules', function(){
+      ImmutableQuadtrees.insert.should.equal(Quadtree.insert);
+      ImmutableQuadtrees.node.should.be.a.Function();
+      ImmutableQuadtrees.Node.split.should.be.a.Function();
+      ImmutableQuadtrees.Boundary.within.should.be.a.Function();
+      ImmutableQuadtrees.QuadtreeHistory.undo.should.be.a.Function();
+      position(1, 2).get('y').should.equal(2);
+    });
+  });
+
+  describe('Module', function(){
+    it('should chain changes into new instances', function(){
+      const empty = new QuadtreeMap(boundary(0, 0, 200, 200), { maxChildren: 2 });
+      const full = empty.batchInsert(items).insert(boundary(10, 10, 1, 1));
+
+      full.should.be.instanceof(QuadtreeMap);
+      full.should.not.equal(empty);
+      empty.items().count().should.equal(0);
+      full.items().count().should.equal(items.length + 1);
+
+      const tree = Quadtree.insert(
+        Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 2 }), items),
+        boundary(10, 10, 1, 1)
+      );
+
+      is(full.tree, tree).should.be.true();
+      full.search(boundary(0, 0, 50, 50)).equals(Quadtree.search(tree, boundary(0, 0, 50, 50))).should.be.true();
+      full.remove(items[0]).search(boundary(0, 0, 50, 50)).count().should.equal(2);
+      full.clear().items().count().should.equal(0);
+    });
+
+    it('should not be changed in place', function(){
+      const quadtree = new QuadtreeMap(boundary(0, 0, 200, 200));
+
+      (function(){
+        'use strict';
+        quadtree.tree = null;
+      }).should.throw();
+    });
+
+    it('should wrap trees and the rest of the functional API', function(){
+      const tree = Quadtree.fromItems(boundary(0, 0, 200, 200), items, { idKey: 'x' });
+      const quadtree = QuadtreeMap.of(tree);
+
+      quadtree.tree.should.equal(tree);
+      quadtree.get(5).should.equal(items[0]);
+      quadtree.removeById(5).has(5).should.be.false();
+      quadtree.nearest(position(0, 0)).first().get('item').should.equal(items[0]);
+      quadtree.validate().isEmpty().should.be.true();
+
+      // Changes that leave the tree as it was hand back the same instance
+      quadtree.removeById('missing').should.equal(quadtree);
+
+      const restored = QuadtreeMap.fromJSON(JSON.parse(JSON.stringify(quadtree)));
+
+      is(restored.tree, tree).should.be.true();
+    });
+
+    it('should wrap the geometric queries and the changes with events', function(){
+      const tree = Quadtree.fromItems(boundary(0, 0, 200, 200), items);
+      const quadtree = QuadtreeMap.of(tree);
+
+      quadtree.searchSegment(position(0, 0), position(100, 100))
+        .equals(Quadtree.searchSegment(tree, position(0, 0), position(100, 100))).should.be.true();
+      quadtree.raycast(position(0, 50), position(1, 0)).get('item')
+        .should.equal(Quadtree.raycast(tree, position(0, 50), position(1, 0)).get('item'));
+
+      const bullet = boundary(0, 49, 1, 1).merge({ vx: 100, vy: 0 });
+
+      quadtree.sweep(bullet, 1).equals(Quadtree.sweep(tree, bullet, 1)).should.be.true();
+
+      const inserted = quadtree.insertWithEvents(boundary(10, 10, 1, 1));
+
+      inserted.get('tree').should.be.instanceof(QuadtreeMap);
+      is(inserted.get('tree').tree, Quadtree.insert(tree, boundary(10, 10, 1, 1))).should.be.true();
+      inserted.get('events').first().get('type').should.equal('insert');
+
+      quadtree.batchInsertWithEvents([boundary(10, 10, 1, 1)]).get('tree').items().count()
+        .should.equal(items.length + 1);
+      quadtree.removeWithEvents(items[0]).get('tree').items().count().should.equal(items.length - 1);
+      quadtree.clearWithEvents().get('tree').items().count().should.equal(0);
+
+      // Removing a missing item changes nothing, so the instance is the same
+      quadtree.removeWithEvents(boundary(1, 1, 1, 1)).get('tree').should.equal(quadtree);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import {assert} from 'chai';
+import should from 'should';
+
+import boundary from './../lib/structs/boundary.js';
+import Quadtree from './../lib/modules/quadtree.js';
+import QuadtreeHistory from './../lib/modules/history.js';
+
+'use strict';
+
+describe('QuadtreeHistory', function(){
+  const items = [
+    boundary(5, 6, 1, 2),
+    boundary(67, 24, 1, 1),
+    boundary(149, 121, 2, 1),
+    boundary(189, 76, 1, 1),
+    boundary(25, 195, 1, 2),
+    boundary(99, 0, 5, 2),
+    boundary(64, 120, 5, 7),
+    boundary(112, 57, 2, 2),
+    boundary(49, 49, 2, 2)
+  ];
+
+  const empty = () => Quadtree.create(boundary(0, 0, 200, 200), 2, 4);
+
+  const history = (options) => items.reduce(
+    (h, item) => QuadtreeHistory.insert(h, item),
+    QuadtreeHistory.create(empty(), options)
+  );
+
+  // The nodes of b that are the very same objects as nodes of a
+  const shared = (a, b) => {
+    const nodes = new Set(Quadtree.nodes(a).toArray());
+
+    return Quadtree.nodes(b).filter((n) => nodes.has(n)).count();
+  };
+
+  describe('Module', function(){
+    it('should record a generation for each change', function(){
+      const h = history();
+
+      QuadtreeHistory.generation(h).should.equal(items.length);
+      Quadtree.items(QuadtreeHistory.current(h)).count().should.equal(items.length);
+      Quadtree.items(QuadtreeHistory.at(h, 3)).count().should.equal(3);
+      Quadtree.items(QuadtreeHistory.at(h, 0)).count().should.equal(0);
+
+      const cleared = QuadtreeHistory.clear(QuadtreeHistory.batchInsert(h, [boundary(1, 1, 1, 1)]));
+
+      QuadtreeHistory.generation(cleared).should.equal(items.length + 2);
+      Quadtree.items(QuadtreeHistory.current(cleared)).count().should.equal(0);
+    });
+
+    it('should undo and redo', function(){
+      const h = history();
+      const undone = QuadtreeHistory.undo(QuadtreeHistory.undo(h));
+
+      QuadtreeHistory.generation(undone).should.equal(items.length - 2);
+      QuadtreeHistory.current(undone).should.equal(QuadtreeHistory.at(h, items.length - 2));
+
+      const redone = QuadtreeHistory.redo(undone);
+
+      QuadtreeHistory.current(redone).should.equal(QuadtreeHistory.at(h, items.length - 1));
+      QuadtreeHistory.generation(QuadtreeHistory.redo(QuadtreeHistory.redo(redone))).should.equal(items.length);
+      QuadtreeHistory.canRedo(QuadtreeHistory.redo(redone)).should.be.false();
+
+      // Recording after an undo drops the generations that were undone
+      const branched = QuadtreeHistory.insert(undone, boundary(1, 1, 1, 1));
+
+      QuadtreeHistory.canRedo(branched).should.be.false();
+      QuadtreeHistory.generation(branched).should.equal(items.length - 1);
+      should(QuadtreeHistory.at(branched, items.length)).be.undefined();
+    });
+
+    it('should only retain the latest generations', function(){
+      const h = history({ limit: 3 });
+
+      QuadtreeHistory.generation(h).should.equal(items.length);
+      should(QuadtreeHistory.at(h, items.length - 3)).be.undefined();
+      Quadtree.items(QuadtreeHistory.at(h, items.length - 2)).count().should.equal(items.length - 2);
+
+      const undone = QuadtreeHistory.undo(QuadtreeHistory.undo(QuadtreeHistory.undo(h)));
+
+      QuadtreeHistory.generation(undone).should.equal(items.length - 2);
+      QuadtreeHistory.canUndo(undone).should.be.false();
+
+      (function(){
+        QuadtreeHistory.create(empty(), { limit: 0 });
+      }).should.throw();
+    });
+
+    it('should share the quadrants a change did not touch', function(){
+      const h = history();
+      const before = QuadtreeHistory.current(h);
+      const after = QuadtreeHistory.current(QuadtreeHistory.insert(h, boundary(10, 10, 1, 1)));
+      const count = Quadtree.nodes(after).count();
+
+      // Only the nodes on the path to the new item are copied
+      const path = Quadtree.nodes(after).filter((n) => n.get('children').includes(boundary(10, 10, 1, 1))).first();
+
+      shared(before, after).should.equal(count - (path.get('depth') + 1));
+      before.getIn(['quadrants', 'bottom-right']).should.equal(after.getIn(['quadrants', 'bottom-right']));
+
+      // Undoing and redoing hands back the recorded trees themselves
+      QuadtreeHistory.current(QuadtreeHistory.undo(h)).should.equal(QuadtreeHistory.at(h, items.length - 1));
+    });
+  });
+});
@@ -5,6 +5,7 @@ import position from './../lib/structs/position.js';
 import boundary from './../lib/structs/boundary.js';
 import node from './../lib/structs/node.js';
 import Node from './../lib/modules/node.js';
+import { Map as map } from 'immutable';
 
 'use strict';
 
@@ -131,5 +132,54 @@ describe('Node', function(){
         quadrants.get('bottom-right').get('boundary').get('height').should.equal(50);
 
     });
+
+    it('should remove children by value', function(){
+      const b = boundary(10, 10, 1, 2);
+      const n = Node.addOverlappingChild(Node.addChild(node(b, 4, 5, 2), b), b);
+
+      const removed = Node.removeChild(n, boundary(10, 10, 1, 2));
+
+      removed.get('children').count().should.equal(0);
+      removed.get('overlappingChildren').count().should.equal(1);
+
+      Node.hasChild(removed, b).should.equal(true);
+      Node.hasChild(Node.removeChild(removed, b), b).should.equal(false);
+    });
+
+    it('should merge subquadrants back into their parent', function(){
+      const b = boundary(0, 0, 100, 100);
+      const split = Node.split(Node.addOverlappingChild(node(b, 4, 5, 2), boundary(45, 45, 10, 10)))
+        .update('quadrants', (q) => q.update('top-left', (l) => Node.addChild(l, boundary(5, 5, 1, 1))));
+
+      Node.isMergeable(split).should.equal(true);
+
+      const merged = Node.merge(split);
+
+      Node.isLeaf(merged).should.equal(true);
+      merged.get('children').count().should.equal(2);
+      merged.get('overlappingChildren').count().should.equal(0);
+    });
+
+    it('should pass options down to subquadrants', function(){
+      const options = map({ idKey: 'id' });
+      const n = node(boundary(0, 0, 100, 100), 4, 5, 2, options);
+
+      Node.split(n).get('quadrants').get('bottom-right').get('options').should.equal(options);
+    });
+
+    it('should give loose nodes an enlarged boundary', function(){
+      const n = node(boundary(0, 0, 100, 100), 4, 5, 2, map({ loose: 2 }));
+
+      Node.looseBoundary(n).toObject().should.eql({ x: -50, y: -50, width: 200, height: 200 });
+      Node.looseBoundary(Node.split(n).get('quadrants').get('top-right'))
+        .toObject().should.eql({ x: 25, y: -25, width: 100, height: 100 });
+    });
+
+    it('should split non-square nodes into half width and half height quadrants', function(){
+      const split = Node.split(node(boundary(0, 0, 100, 40), 4, 5, 2));
+
+      split.get('quadrants').get('bottom-right').get('boundary').toObject()
+        .should.eql({ x: 50, y: 20, width: 50, height: 20 });
+    });
   })
 });
@@ -0,0 +1,128 @@
+import {assert} from 'chai';
+import should from 'should';
+import { List as list, Map as map, is } from 'immutable';
+
+import box from './../lib/structs/box.js';
+import position from './../lib/structs/position.js';
+import Quadtree from './../lib/modules/quadtree.js';
+import Octree from './../lib/modules/octree.js';
+
+'use strict';
+
+describe('Octree', function(){
+  const items = [
+    box(10, 10, 10, 5, 5, 5),
+    box(10, 10, 150, 5, 5, 5),
+    box(150, 10, 10, 5, 5, 5),
+    box(150, 150, 150, 5, 5, 5),
+    box(98, 98, 98, 4, 4, 4)
+  ];
+
+  const space = box(0, 0, 0, 200, 200, 200);
+  const tree = () => Octree.batchInsert(Octree.create(space, 1), items);
+
+  it('should split into 8 children', function(){
+    const quadrants = tree().get('quadrants');
+
+    quadrants.keySeq().toArray().should.eql([
+      'front-top-left', 'front-top-right', 'front-bottom-left', 'front-bottom-right',
+      'back-top-left', 'back-top-right', 'back-bottom-left', 'back-bottom-right'
+    ]);
+    is(quadrants.getIn(['back-bottom-right', 'boundary']), box(100, 100, 100, 100, 100, 100))
+      .should.equal(true);
+    quadrants.getIn(['back-top-left', 'children']).first().should.equal(items[1]);
+
+    // Straddling the middle on every axis keeps the item at the root
+    tree().get('overlappingChildren').first().should.equal(items[4]);
+    Quadtree.validate(tree()).count().should.equal(0);
+  });
+
+  it('should search, remove and clear in three dimensions', function(){
+    Octree.search(tree(), box(0, 0, 0, 50, 50, 50)).toArray().should.eql([items[0]]);
+    Octree.search(tree(), box(0, 0, 100, 50, 50, 100)).toArray().should.eql([items[1]]);
+    Octree.searchPoint(tree(), position(12, 12, 152)).toArray().should.eql([items[1]]);
+    Octree.searchRadius(tree(), position(0, 0, 0), 20).toArray().should.eql([items[0]]);
+    Octree.nearest(tree(), position(160, 160, 160)).first().get('item').should.equal(items[3]);
+
+    const removed = Octree.remove(tree(), items[1]);
+
+    Octree.search(removed, space).count().should.equal(4);
+    Octree.search(Octree.clear(removed), space).count().should.equal(0);
+  });
+
+  it('should build the same tree in bulk', function(){
+    is(Octree.fromItems(space, items, { maxChildren: 1 }), tree()).should.equal(true);
+  });
+
+  it('should reject items without a z or depth', function(){
+    (function(){
+      Octree.insert(tree(), map({ x: 1, y: 1, width: 1, height: 1 }));
+    }).should.throw(Octree.InvalidItemError);
+
+    (function(){
+      Octree.insert(tree(), box(190, 190, 190, 20, 20, 20));
+    }).should.throw(Octree.OutOfBoundsError);
+  });
+
+  it('should leave planar-only queries to quadtrees', function(){
+    (function(){
+      Quadtree.raycast(tree(), position(0, 0), position(1, 0));
+    }).should.throw(Octree.InvalidOptionsError);
+
+    (function(){
+      Quadtree.toBuffer(tree());
+    }).should.throw(Octree.InvalidOptionsError);
+  });
+
+  it('should round trip through JSON', function(){
+    const json = JSON.parse(JSON.stringify(Octree.toJSON(tree())));
+
+    is(Octree.fromJSON(json), tree()).should.equal(true);
+  });
+
+  it('should grow towards items in any direction', function(){
+    const grown = Octree.insert(
+      Octree.create(box(0, 0, 0, 10, 10, 10), { growable: true }),
+      box(-5, 5, 15, 1, 1, 1)
+    );
+
+    is(grown.get('boundary'), box(-10, 0, 0, 20, 20, 20)).should.equal(true);
+    Quadtree.validate(grown).count().should.equal(0);
+  });
+
+  describe('Any number of dimensions', function(){
+    const axes = [['x', 'width'], ['y', 'height'], ['z', 'depth'], ['t', 'duration']];
+    const event = (x, t) => map({ x, y: x, z: x, t, width: 1, height: 1, depth: 1, duration: 1 });
+
+    it('should split into 2 children per axis', function(){
+      const quadtree = Quadtree.batchInsert(
+        Quadtree.create(event(0, 0).merge({ width: 100, height: 100, depth: 100, duration: 100 }), {
+          maxChildren: 1,
+          axes
+        }),
+        [event(10, 10), event(10, 60), event(60, 60)]
+      );
+
+      quadtree.get('quadrants').count().should.equal(16);
+      is(quadtree.getIn(['quadrants', 'high-t-front-top-left', 'children']), list.of(event(10, 60)))
+        .should.equal(true);
+
+      const region = event(0, 50).merge({ width: 20, height: 20, depth: 20, duration: 50 });
+
+      is(Quadtree.search(quadtree, region), list.of(event(10, 60))).should.equal(true);
+      Quadtree.validate(quadtree).count().should.equal(0);
+    });
+
+    it('should keep planar trees as they were', function(){
+      const planar = Quadtree.create(map({ x: 0, y: 0, width: 10, height: 10 }), {
+        axes: [['x', 'width'], ['y', 'height']]
+      });
+
+      planar.get('options').has('axes').should.equal(false);
+
+      (function(){
+        Quadtree.create(event(0, 0), { axes: [['x', 'width'], ['x', 'height']] });
+      }).should.throw(Octree.InvalidOptionsError);
+    });
+  });
+});
@@ -2,8 +2,12 @@ import {assert} from 'chai';
 import should from 'should';
 
 import Quadtree from './../src/modules/quadtree.js';
+import Boundary from './../src/modules/boundary.js';
+import Errors from './../src/modules/errors.js';
 
 import boundary from './../src/structs/boundary.js';
+import position from './../src/structs/position.js';
+import { List as list, Map as map, Set as set, is } from 'immutable';
 
 'use strict';
 
@@ -124,5 +128,1574 @@ describe('Quadtree', function(){
       should.not.exist(cleared.get('quadrants').get('top-left'));
       cleared.get('depth').should.equal(0);
     });
+
+    it('should remove items from the tree', function(){
+      const viewport = boundary(0, 0, 200, 200);
+      const quadtree = Quadtree.create(viewport);
+
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      const newTree = Quadtree.batchInsert(quadtree, items);
+
+      // boundary(99, 0, 5, 2) straddles the midpoint, so it is an overlapping child
+      const removed = Quadtree.remove(newTree, boundary(99, 0, 5, 2));
+      removed.get('overlappingChildren').count().should.equal(0);
+
+      const rest = Quadtree.remove(removed, boundary(149, 121, 2, 1));
+      Quadtree.search(rest, viewport).count().should.equal(7);
+    });
+
+    it('should return the same tree when removing a missing item', function(){
+      const viewport = boundary(0, 0, 200, 200);
+      const quadtree = Quadtree.batchInsert(Quadtree.create(viewport), [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1)
+      ]);
+
+      Quadtree.remove(quadtree, boundary(6, 6, 1, 2)).should.equal(quadtree);
+
+      // Not even a node that could merge is touched
+      const split = Quadtree.batchInsert(Quadtree.create(viewport, 1, 4), [
+        boundary(5, 6, 1, 2),
+        boundary(167, 24, 1, 1)
+      ]).setIn(['quadrants', 'top-right', 'children'], list());
+
+      Quadtree.remove(split, boundary(6, 6, 1, 2)).should.equal(split);
+    });
+
+    it('should merge quadrants once they hold too few items', function(){
+      const viewport = boundary(0, 0, 200, 200);
+      const quadtree = Quadtree.create(viewport);
+
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(153, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2)
+      ];
+
+      const newTree = Quadtree.batchInsert(quadtree, items);
+      newTree.get('quadrants').get('top-left').should.not.be.null();
+
+      const merged = Quadtree.remove(newTree, boundary(67, 24, 1, 1));
+
+      should.not.exist(merged.get('quadrants').get('top-left'));
+      merged.get('children').count().should.equal(4);
+    });
+
+    it('should move items with update', function(){
+      const viewport = boundary(0, 0, 200, 200);
+      const quadtree = Quadtree.batchInsert(Quadtree.create(viewport), [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(153, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2)
+      ]);
+
+      const updated = Quadtree.update(quadtree, boundary(5, 6, 1, 2), boundary(180, 180, 1, 2));
+
+      Quadtree.search(updated, boundary(0, 0, 20, 20)).count().should.equal(0);
+      Quadtree.search(updated, boundary(170, 170, 20, 20)).count().should.equal(1);
+    });
+
+    it('should not insert the new item when the old one is missing', function(){
+      const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1)
+      ]);
+
+      Quadtree.update(quadtree, boundary(6, 6, 1, 2), boundary(180, 180, 1, 2)).should.equal(quadtree);
+
+      const mutated = Quadtree.withMutations(quadtree, (mutable) => {
+        mutable.update(boundary(6, 6, 1, 2), boundary(180, 180, 1, 2));
+      });
+
+      is(mutated, quadtree).should.be.true();
+    });
+
+    describe('Ids', function(){
+      const entity = (id, x, y) => boundary(x, y, 1, 1).set('id', id);
+
+      const entities = [
+        entity('a', 5, 6),
+        entity('b', 67, 24),
+        entity('c', 153, 121),
+        entity('d', 189, 76),
+        entity('e', 25, 195),
+        entity('f', 5, 6)
+      ];
+
+      it('should look up items by id', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities
+        );
+
+        Quadtree.has(quadtree, 'c').should.equal(true);
+        Quadtree.has(quadtree, 'z').should.equal(false);
+        Quadtree.get(quadtree, 'c').should.equal(entities[2]);
+        Quadtree.get(quadtree, 'f').should.equal(entities[5]);
+        should.not.exist(Quadtree.get(quadtree, 'z'));
+      });
+
+      it('should keep the index up to date when splitting', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities
+        );
+
+        quadtree.get('index').get('d').toArray().should.eql(['top-right']);
+        quadtree.get('index').get('e').toArray().should.eql(['bottom-left']);
+      });
+
+      it('should tell apart items with the same boundary', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities
+        );
+
+        const removed = Quadtree.removeById(quadtree, 'f');
+
+        Quadtree.has(removed, 'f').should.equal(false);
+        Quadtree.get(removed, 'a').should.equal(entities[0]);
+        Quadtree.search(removed, boundary(0, 0, 10, 10)).count().should.equal(1);
+      });
+
+      it('should move items by id', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities
+        );
+
+        const moved = Quadtree.update(quadtree, map({ id: 'a' }).merge(boundary(5, 6, 1, 1)), entity('a', 190, 190));
+
+        Quadtree.get(moved, 'a').get('x').should.equal(190);
+        Quadtree.search(moved, boundary(180, 180, 20, 20)).count().should.equal(1);
+      });
+
+      it('should reindex merged quadrants', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities.slice(0, 5)
+        );
+
+        const merged = Quadtree.removeById(quadtree, 'b');
+
+        merged.get('index').get('d').count().should.equal(0);
+        Quadtree.get(merged, 'd').should.equal(entities[3]);
+      });
+
+      it('should not accept duplicate ids', function(){
+        const quadtree = Quadtree.insert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entity('a', 5, 6)
+        );
+
+        (function(){
+          Quadtree.insert(quadtree, entity('a', 50, 60));
+        }).should.throw();
+      });
+
+      it('should clear the index', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          entities
+        );
+
+        Quadtree.clear(quadtree).get('index').count().should.equal(0);
+      });
+    });
+
+    describe('Nearest', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      it('should find the k nearest items in order of distance', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const results = Quadtree.nearest(quadtree, position(60, 60), 3);
+
+        results.count().should.equal(3);
+        results.get(0).get('item').should.equal(items[8]);
+        results.get(1).get('item').should.equal(items[1]);
+        results.get(2).get('item').should.equal(items[7]);
+        results.get(0).get('distance').should.be.below(results.get(1).get('distance'));
+      });
+
+      it('should find overlapping children of interior nodes', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const results = Quadtree.nearest(quadtree, position(101, 5), 1);
+
+        results.get(0).get('item').should.equal(items[5]);
+        results.get(0).get('distance').should.equal(3);
+      });
+
+      it('should measure distance to the item rectangle', function(){
+        const wide = boundary(10, 10, 100, 1);
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), [
+          wide,
+          boundary(95, 30, 1, 1)
+        ]);
+
+        const results = Quadtree.nearest(quadtree, position(100, 15), 1);
+
+        results.get(0).get('item').should.equal(wide);
+        results.get(0).get('distance').should.equal(4);
+      });
+
+      it('should respect maxDistance and filter', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        Quadtree.nearest(quadtree, position(60, 60), 5, { maxDistance: 20 }).count().should.equal(1);
+
+        const filtered = Quadtree.nearest(quadtree, position(60, 60), 1, {
+          filter: (item) => item.get('width') === 1
+        });
+
+        filtered.get(0).get('item').should.equal(items[1]);
+      });
+
+      it('should agree with sorting every item by distance', function(){
+        const grid = [];
+
+        for (let i = 0; i < 20; i++) {
+          for (let j = 0; j < 20; j++) {
+            grid.push(boundary(i * 10 + (j % 3), j * 10 + (i % 4), 1 + (i % 2), 1 + (j % 2)));
+          }
+        }
+
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), grid);
+        const point = position(73, 121);
+        const expected = grid
+          .map((item) => Boundary.distance(item, point))
+          .sort((a, b) => a - b)
+          .slice(0, 25);
+
+        Quadtree.nearest(quadtree, point, 25)
+          .map((entry) => entry.get('distance'))
+          .toArray()
+          .should.eql(expected);
+      });
+    });
+
+    describe('Shapes', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      it('should search for all items within a radius', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const results = Quadtree.searchRadius(quadtree, position(60, 60), 15);
+
+        results.count().should.equal(1);
+        results.get(0).should.equal(items[8]);
+        Quadtree.searchRadius(quadtree, position(60, 60), 36).count().should.equal(2);
+      });
+
+      it('should search for all items under a point', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const results = Quadtree.searchPoint(quadtree, position(101, 1));
+
+        results.count().should.equal(1);
+        results.get(0).should.equal(items[5]);
+        Quadtree.searchPoint(quadtree, position(100, 100)).count().should.equal(0);
+      });
+
+      it('should search for all items within a polygon', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        // The triangle below the diagonal from (0, 0) to (200, 200)
+        const triangle = [position(0, 0), position(200, 200), position(0, 200)];
+
+        const results = Quadtree.searchPolygon(quadtree, triangle);
+
+        results.count().should.equal(4);
+        results.toArray().should.containDeep([items[0], items[4], items[6], items[8]]);
+      });
+    });
+
+    describe('Collisions', function(){
+      const items = [
+        boundary(5, 6, 10, 10),
+        boundary(10, 10, 10, 10),
+        boundary(95, 5, 10, 10),
+        boundary(101, 10, 10, 10),
+        boundary(150, 150, 10, 10),
+        boundary(180, 180, 10, 10),
+        boundary(30, 160, 10, 10),
+        boundary(35, 165, 10, 10),
+        boundary(60, 60, 2, 2)
+      ];
+
+      it('should find every intersecting pair once', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const pairs = Quadtree.collisions(quadtree);
+
+        pairs.count().should.equal(3);
+        pairs.forEach(([a, b]) => {
+          a.should.not.equal(b);
+        });
+      });
+
+      it('should find pairs with overlapping children of parent nodes', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        // boundary(95, 5, 10, 10) straddles the midpoint of the root
+        quadtree.get('overlappingChildren').count().should.equal(1);
+
+        const pairs = Quadtree.collisions(quadtree)
+          .filter((pair) => pair.includes(items[2]));
+
+        pairs.count().should.equal(1);
+        pairs.get(0).includes(items[3]).should.equal(true);
+      });
+
+      it('should filter pairs', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        Quadtree.collisions(quadtree, {
+          filter: (a, b) => a.get('x') < 50 && b.get('x') < 50
+        }).count().should.equal(2);
+      });
+
+      it('should find pairs between two trees', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const bullets = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), [
+          boundary(12, 12, 1, 1),
+          boundary(61, 61, 1, 1),
+          boundary(120, 120, 1, 1)
+        ]);
+
+        const pairs = Quadtree.collisionsWith(bullets, quadtree);
+
+        pairs.count().should.equal(3);
+        pairs.get(0).get(0).get('width').should.equal(1);
+        pairs.get(0).get(1).get('width').should.not.equal(1);
+      });
+    });
+
+    describe('Loose', function(){
+      // A small linear congruential generator keeps the items the same every run
+      const random = (seed) => {
+        let state = seed;
+
+        return () => {
+          state = (state * 1103515245 + 12345) % 2147483648;
+          return state / 2147483648;
+        };
+      };
+
+      const generate = (count, seed) => {
+        const next = random(seed);
+
+        return Array.from({ length: count }, () => (
+          boundary(Math.floor(next() * 190), Math.floor(next() * 190), 1 + Math.floor(next() * 10), 1 + Math.floor(next() * 10))
+        ));
+      };
+
+      const items = generate(200, 42);
+      const ranges = [
+        boundary(0, 0, 200, 200),
+        boundary(50, 50, 100, 100),
+        boundary(95, 95, 10, 10),
+        boundary(0, 120, 60, 80),
+        boundary(180, 0, 20, 20)
+      ];
+
+      it('should return the same search results as a strict tree', function(){
+        const strict = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const loose = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { loose: 2 }), items);
+
+        ranges.forEach((range) => {
+          const expected = Quadtree.search(strict, range);
+          const actual = Quadtree.search(loose, range);
+
+          actual.count().should.equal(expected.count());
+          actual.toSet().equals(expected.toSet()).should.equal(true);
+        });
+      });
+
+      it('should let straddling items sink below the root', function(){
+        const strict = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const loose = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { loose: 2 }), items);
+
+        strict.get('overlappingChildren').count().should.be.above(0);
+        loose.get('overlappingChildren').count().should.equal(0);
+      });
+
+      it('should find the same neighbours and collisions as a strict tree', function(){
+        const strict = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const loose = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { loose: 1.5 }), items);
+
+        const distances = (tree) => Quadtree
+          .nearest(tree, position(100, 100), 10)
+          .map((entry) => entry.get('distance'));
+
+        distances(loose).equals(distances(strict)).should.equal(true);
+        Quadtree.collisions(loose).count().should.equal(Quadtree.collisions(strict).count());
+      });
+
+      it('should remove items from loose quadrants', function(){
+        const loose = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { loose: 2 }), items);
+
+        const removed = items.slice(0, 100).reduce((acc, item) => Quadtree.remove(acc, item), loose);
+
+        Quadtree.search(removed, boundary(0, 0, 200, 200)).count().should.equal(100);
+      });
+    });
+
+    describe('Points', function(){
+      const points = [
+        position(5, 6),
+        position(67, 24),
+        position(100, 100),
+        position(100, 0),
+        position(149, 121),
+        position(189, 76),
+        position(25, 195),
+        position(50, 50),
+        position(0, 0)
+      ];
+
+      it('should store positions without overlapping children', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), points);
+
+        quadtree.get('quadrants').get('top-left').should.not.be.null();
+        quadtree.get('overlappingChildren').count().should.equal(0);
+        Quadtree.search(quadtree, boundary(0, 0, 200, 200)).count().should.equal(points.length);
+      });
+
+      it('should assign points on a midpoint to the top left', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), points);
+
+        const topLeft = quadtree.get('quadrants').get('top-left');
+
+        Quadtree.searchPoint(topLeft, position(100, 100)).count().should.equal(1);
+        Quadtree.searchPoint(topLeft, position(100, 0)).count().should.equal(1);
+      });
+
+      it('should include points on the edge of a search range', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), points);
+
+        Quadtree.search(quadtree, boundary(100, 100, 50, 50)).count().should.equal(2);
+        Quadtree.search(quadtree, boundary(0, 0, 50, 50)).count().should.equal(3);
+      });
+
+      it('should support every query', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), points);
+
+        Quadtree.searchRadius(quadtree, position(0, 0), 10).count().should.equal(2);
+        Quadtree.searchPoint(quadtree, position(50, 50)).get(0).should.equal(points[7]);
+        Quadtree.searchPolygon(quadtree, [position(0, 0), position(200, 200), position(0, 200)]).count().should.equal(3);
+        Quadtree.nearest(quadtree, position(60, 60), 1).get(0).get('distance').should.equal(Math.sqrt(200));
+        Quadtree.collisions(Quadtree.insert(quadtree, position(50, 50))).count().should.equal(1);
+      });
+
+      it('should remove points', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), points);
+
+        const removed = Quadtree.remove(quadtree, position(100, 100));
+
+        Quadtree.searchPoint(removed, position(100, 100)).count().should.equal(0);
+        Quadtree.search(removed, boundary(0, 0, 200, 200)).count().should.equal(points.length - 1);
+      });
+    });
+
+    describe('Bounds', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(153, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2)
+      ];
+
+      it('should not insert items outside of the tree', function(){
+        const quadtree = Quadtree.create(boundary(0, 0, 200, 200));
+
+        (function(){
+          Quadtree.insert(quadtree, boundary(199, 5, 2, 2));
+        }).should.throw(Errors.OutOfBoundsError);
+
+        try {
+          Quadtree.insert(quadtree, boundary(-5, 5, 2, 2));
+        } catch (e) {
+          e.should.be.instanceof(Error);
+          e.fn.should.equal('insert');
+          e.value.get('x').should.equal(-5);
+        }
+      });
+
+      it('should grow to fit items outside of a growable tree', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { growable: true }), items);
+        const topLeft = quadtree.get('quadrants').get('top-left');
+
+        const grown = Quadtree.insert(quadtree, boundary(-50, 250, 2, 2));
+
+        grown.get('boundary').toObject().should.eql({ x: -200, y: 0, width: 400, height: 400 });
+        grown.get('depth').should.equal(-1);
+
+        // The old root is kept whole as the top right quadrant
+        const old = grown.get('quadrants').get('top-right');
+        old.get('boundary').should.equal(quadtree.get('boundary'));
+        old.get('quadrants').get('top-left').should.equal(topLeft);
+
+        Quadtree.search(grown, boundary(-60, 240, 20, 20)).count().should.equal(1);
+        Quadtree.search(grown, grown.get('boundary')).count().should.equal(items.length + 1);
+      });
+
+      it('should grow more than once for far away items', function(){
+        const quadtree = Quadtree.create(boundary(0, 0, 10, 10), { growable: true });
+
+        const grown = Quadtree.insert(quadtree, boundary(75, 75, 1, 1));
+
+        grown.get('boundary').toObject().should.eql({ x: 0, y: 0, width: 80, height: 80 });
+        grown.get('depth').should.equal(-3);
+      });
+
+      it('should keep the index up to date when growing', function(){
+        const entity = (id, x, y) => boundary(x, y, 1, 1).set('id', id);
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { growable: true, idKey: 'id' }),
+          items.map((item, i) => item.set('id', i))
+        );
+
+        const grown = Quadtree.insert(quadtree, entity('far', 300, -20));
+
+        Quadtree.get(grown, 0).get('x').should.equal(5);
+        Quadtree.get(grown, 'far').get('x').should.equal(300);
+        should.not.exist(grown.get('quadrants').get('bottom-left').get('index'));
+      });
+    });
+
+    describe('Bulk loading', function(){
+      const generate = (count) => Array.from({ length: count }, (v, i) => (
+        boundary((i * 37) % 190, (i * 91) % 190, 1 + i % 7, 1 + i % 5)
+      ));
+
+      // The number of items held at each node, in the same order for both trees
+      const shape = (n) => {
+        const own = [n.get('children').count(), n.get('overlappingChildren').count()];
+
+        if (n.get('quadrants').get('top-left') === null) {
+          return [own];
+        }
+
+        return n.get('quadrants').toList().reduce((acc, q) => acc.concat(shape(q)), [own]);
+      };
+
+      it('should build the same tree as inserting items one by one', function(){
+        const items = generate(300);
+        const inserted = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const loaded = Quadtree.fromItems(boundary(0, 0, 200, 200), items);
+
+        shape(loaded).should.eql(shape(inserted));
+
+        [boundary(0, 0, 200, 200), boundary(20, 30, 50, 60), boundary(99, 99, 2, 2)].forEach((range) => {
+          Quadtree.search(loaded, range).toSet().equals(Quadtree.search(inserted, range).toSet()).should.equal(true);
+        });
+      });
+
+      it('should pass options to the tree', function(){
+        const items = generate(100);
+        const loaded = Quadtree.fromItems(boundary(0, 0, 200, 200), items, { maxChildren: 8, maxDepth: 6, loose: 2 });
+        const inserted = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 8, maxDepth: 6, loose: 2 }), items);
+
+        loaded.get('maxChildren').should.equal(8);
+        shape(loaded).should.eql(shape(inserted));
+      });
+
+      it('should index items by id', function(){
+        const items = generate(100).map((item, i) => item.set('id', i));
+        const loaded = Quadtree.fromItems(boundary(0, 0, 200, 200), items, { idKey: 'id' });
+
+        items.forEach((item, i) => {
+          Quadtree.get(loaded, i).should.equal(item);
+        });
+
+        (function(){
+          Quadtree.fromItems(boundary(0, 0, 200, 200), items.concat([items[0]]), { idKey: 'id' });
+        }).should.throw();
+      });
+
+      it('should not load items outside of the tree', function(){
+        (function(){
+          Quadtree.fromItems(boundary(0, 0, 200, 200), [boundary(5, 5, 1, 1), boundary(250, 5, 1, 1)]);
+        }).should.throw(Errors.OutOfBoundsError);
+
+        const grown = Quadtree.fromItems(boundary(0, 0, 200, 200), [boundary(5, 5, 1, 1), boundary(250, 5, 1, 1)], { growable: true });
+
+        grown.get('boundary').get('width').should.equal(400);
+        Quadtree.search(grown, grown.get('boundary')).count().should.equal(2);
+      });
+    });
+
+    describe('Transients', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      it('should apply every change in one go', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const expected = Quadtree.insert(
+          Quadtree.remove(Quadtree.insert(quadtree, boundary(10, 10, 1, 1)), items[2]),
+          boundary(150, 150, 1, 1)
+        );
+
+        const result = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable
+            .insert(boundary(10, 10, 1, 1))
+            .remove(items[2])
+            .insert(boundary(150, 150, 1, 1));
+        });
+
+        Quadtree.search(result, boundary(0, 0, 200, 200)).toSet()
+          .equals(Quadtree.search(expected, boundary(0, 0, 200, 200)).toSet())
+          .should.equal(true);
+      });
+
+      it('should leave the previous version untouched and share its structure', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const topRight = quadtree.get('quadrants').get('top-right');
+
+        const result = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable.insert(boundary(10, 10, 1, 1)).insert(boundary(20, 20, 1, 1));
+        });
+
+        Quadtree.search(quadtree, boundary(0, 0, 200, 200)).count().should.equal(items.length);
+        Quadtree.search(result, boundary(0, 0, 200, 200)).count().should.equal(items.length + 2);
+        result.get('quadrants').get('top-right').should.equal(topRight);
+        result.get('quadrants').get('top-left').should.not.equal(quadtree.get('quadrants').get('top-left'));
+      });
+
+      it('should return a persistent tree', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        const result = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable.insert(boundary(10, 10, 1, 1));
+        });
+
+        const children = result.getIn(['quadrants', 'top-left', 'children']);
+
+        result.set('depth', 1).should.not.equal(result);
+        children.push(boundary(1, 1, 1, 1)).should.not.equal(children);
+        Quadtree.insert(result, boundary(11, 11, 1, 1)).should.not.equal(result);
+        Quadtree.search(result, boundary(0, 0, 200, 200)).count().should.equal(items.length + 1);
+      });
+
+      it('should keep ids and merges up to date', function(){
+        const entities = items.slice(0, 5).map((item, i) => item.set('id', i));
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }), entities);
+
+        const result = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable.removeById(1);
+          mutable.has(1).should.equal(false);
+          mutable.update(entities[0], boundary(180, 180, 1, 1).set('id', 0));
+        });
+
+        should.not.exist(result.get('quadrants').get('top-left'));
+        Quadtree.get(result, 0).get('x').should.equal(180);
+        Quadtree.has(quadtree, 1).should.equal(true);
+      });
+
+      it('should remove an item from between others like remove does', function(){
+        const few = items.slice(0, 3);
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 3), few);
+
+        is(Quadtree.withMutations(quadtree, (mutable) => mutable.remove(few[1])), Quadtree.remove(quadtree, few[1]))
+          .should.be.true();
+
+        const points = [position(10, 10), position(20, 20), position(30, 30)].map((p, i) => p.set('id', i));
+        const pointTree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 3, mode: 'point', idKey: 'id' }),
+          points
+        );
+
+        is(Quadtree.withMutations(pointTree, (mutable) => mutable.remove(points[1])), Quadtree.remove(pointTree, points[1]))
+          .should.be.true();
+      });
+    });
+
+    describe('Diff', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      it('should find added and removed items', function(){
+        const prev = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const next = Quadtree.insert(Quadtree.remove(prev, items[1]), boundary(10, 10, 1, 1));
+
+        const changes = Quadtree.diff(prev, next);
+
+        changes.get('added').toArray().should.eql([boundary(10, 10, 1, 1)]);
+        changes.get('removed').toArray().should.eql([items[1]]);
+        changes.get('moved').count().should.equal(0);
+      });
+
+      it('should not report items that only changed node', function(){
+        const prev = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items.slice(0, 4));
+
+        // The fifth item splits the root, moving the other four into quadrants
+        const next = Quadtree.insert(prev, items[4]);
+
+        const changes = Quadtree.diff(prev, next);
+
+        changes.get('added').toArray().should.eql([items[4]]);
+        changes.get('removed').count().should.equal(0);
+      });
+
+      it('should find moved items by id', function(){
+        const entities = items.map((item, i) => item.set('id', i));
+        const prev = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }), entities);
+        const next = Quadtree.update(Quadtree.removeById(prev, 3), entities[0], boundary(180, 180, 1, 1).set('id', 0));
+
+        const changes = Quadtree.diff(prev, next);
+
+        changes.get('added').count().should.equal(0);
+        changes.get('removed').toArray().should.eql([entities[3]]);
+        changes.get('moved').toArray().should.eql([boundary(180, 180, 1, 1).set('id', 0)]);
+      });
+
+      it('should report moves as a removal and an addition without an idKey', function(){
+        const prev = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+        const next = Quadtree.update(prev, items[0], boundary(180, 180, 1, 1));
+
+        const changes = Quadtree.diff(prev, next);
+
+        map.isMap(changes).should.be.true();
+        changes.get('added').toArray().should.eql([boundary(180, 180, 1, 1)]);
+        changes.get('removed').toArray().should.eql([items[0]]);
+        changes.get('moved').count().should.equal(0);
+      });
+
+      it('should skip quadrants both versions share', function(){
+        const prev = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items);
+
+        // Any attempt to read the items of this quadrant would throw
+        const shared = map({ boundary: boundary(100, 0, 100, 100) });
+        const before = prev.setIn(['quadrants', 'top-right'], shared);
+        const after = Quadtree.insert(before, boundary(10, 10, 1, 1));
+
+        Quadtree.diff(before, after).get('added').count().should.equal(1);
+        Quadtree.diff(before, before).get('added').count().should.equal(0);
+      });
+    });
+
+    describe('Inspection', function(){
+      const items = [
+        boundary(5, 6, 1, 2),
+        boundary(67, 24, 1, 1),
+        boundary(149, 121, 2, 1),
+        boundary(189, 76, 1, 1),
+        boundary(25, 195, 1, 2),
+        boundary(99, 0, 5, 2),
+        boundary(64, 120, 5, 7),
+        boundary(112, 57, 2, 2),
+        boundary(49, 49, 2, 2)
+      ];
+
+      it('should describe the shape of the tree', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2, 4), items);
+
+        const stats = Quadtree.stats(quadtree);
+
+        stats.get('nodes').should.equal(9);
+        stats.get('leaves').should.equal(7);
+        stats.get('items').should.equal(9);
+        stats.get('maxDepth').should.equal(2);
+        stats.get('averageDepth').should.equal(11 / 7);
+        stats.get('itemsPerLevel').toArray().should.eql([1, 6, 2]);
+        stats.get('overlappingPerLevel').toArray().should.eql([1, 1, 0]);
+      });
+
+      it('should find no violations in trees built by the module', function(){
+        const wide = boundary(0, 0, 400, 200);
+        const scaled = items.map((item) => item.set('x', item.get('x') * 2));
+
+        Quadtree.validate(Quadtree.batchInsert(Quadtree.create(wide, 2, 4), scaled)).count().should.equal(0);
+        Quadtree.validate(Quadtree.fromItems(wide, scaled, { loose: 2, maxChildren: 2 })).count().should.equal(0);
+        Quadtree.validate(Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id', growable: true }),
+          items.concat([boundary(250, -10, 5, 5)]).map((item, i) => item.set('id', i))
+        )).count().should.equal(0);
+        Quadtree.validate(Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }),
+          items.map((item) => position(item.get('x'), item.get('y')))
+        )).count().should.equal(0);
+      });
+
+      it('should split non-square nodes into quadrants that tile them', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 400, 200)),
+          items.map((item) => item.set('x', item.get('x') * 2))
+        );
+
+        quadtree.getIn(['quadrants', 'bottom-right', 'boundary']).toObject()
+          .should.eql({ x: 200, y: 100, width: 200, height: 100 });
+      });
+
+      it('should report broken invariants with the path to the node', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2, 4), items);
+
+        const messages = (tree) => Quadtree.validate(tree)
+          .map((v) => `${v.get('path').join('/')}: ${v.get('message')}`)
+          .toArray();
+
+        messages(quadtree.setIn(['quadrants', 'top-right', 'boundary'], boundary(100, 0, 50, 100)))
+          .should.containEql('top-right: item lies outside its node')
+          .and.containEql(': top-right quadrant does not tile its parent');
+
+        messages(quadtree.updateIn(['quadrants', 'bottom-left', 'overlappingChildren'], (l) => l.push(boundary(1, 150, 1, 1))))
+          .should.eql(['bottom-left: leaf has overlapping children']);
+
+        messages(quadtree.setIn(['quadrants', 'top-left', 'quadrants', 'top-left', 'depth'], 5))
+          .should.eql([
+            'top-left/top-left: depth does not match the position of the node',
+            'top-left/top-left: node is deeper than maxDepth'
+          ]);
+
+        messages(quadtree.update('overlappingChildren', (l) => l.push(boundary(10, 10, 1, 1))))
+          .should.eql([': overlapping child fits in a quadrant']);
+
+        messages(quadtree.setIn(['quadrants', 'top-right'], null))
+          .should.eql([': split node is missing quadrants']);
+      });
+
+      it('should check the id index', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          items.map((item, i) => item.set('id', i))
+        );
+
+        Quadtree.validate(quadtree.setIn(['index', 3], list.of('bottom-left')))
+          .map((v) => v.get('message')).toArray()
+          .should.eql(['index does not point at item']);
+
+        Quadtree.validate(quadtree.setIn(['index', 'ghost'], list()))
+          .map((v) => v.get('message')).toArray()
+          .should.eql(['index holds ids that are not in the tree']);
+      });
+    });
+
+    describe('Errors', function(){
+      const thrown = (fn) => {
+        try {
+          fn();
+        } catch (e) {
+          return e;
+        }
+
+        return undefined;
+      };
+
+      it('should tell bad items from bad nodes, options and arguments', function(){
+        const quadtree = Quadtree.create(boundary(0, 0, 200, 200));
+        const item = map({ x: 5, y: 5 });
+
+        const itemError = thrown(() => Quadtree.insert(quadtree, item));
+        itemError.should.be.instanceof(Errors.InvalidItemError);
+        itemError.should.be.instanceof(Error);
+        itemError.value.should.equal(item);
+        itemError.fn.should.equal('insert');
+
+        const nodeError = thrown(() => Quadtree.search(quadtree.delete('quadrants'), boundary(0, 0, 5, 5)));
+        nodeError.should.be.instanceof(Errors.InvalidNodeError);
+        nodeError.fn.should.equal('search');
+
+        const argumentError = thrown(() => Quadtree.nearest(quadtree, position(5, 5), 0));
+        argumentError.should.be.instanceof(Errors.InvalidArgumentError);
+        argumentError.value.should.equal(0);
+        argumentError.fn.should.equal('nearest');
+
+        (function(){
+          Quadtree.create(boundary(0, 0, 200, 200), { mode: 'circle' });
+        }).should.throw(Errors.InvalidOptionsError);
+
+        (function(){
+          Quadtree.create(boundary(0, 0, 200, 200), 0);
+        }).should.throw(Errors.InvalidOptionsError);
+
+        (function(){
+          Quadtree.fromJSON({ version: 1 });
+        }).should.throw(Errors.InvalidNodeError);
+
+        Quadtree.InvalidItemError.should.equal(Errors.InvalidItemError);
+      });
+
+      it('should reject malformed query regions and points as bad arguments', function(){
+        const quadtree = Quadtree.create(boundary(0, 0, 200, 200));
+        const region = map({ x: 0, y: 0 });
+        const point = map({ x: 5 });
+
+        [
+          ['search', () => Quadtree.search(quadtree, region)],
+          ['count', () => Quadtree.count(quadtree, region)],
+          ['aggregate', () => Quadtree.aggregate(quadtree, 'count', region)],
+          ['searchRadius', () => Quadtree.searchRadius(quadtree, point, 5)],
+          ['searchPoint', () => Quadtree.searchPoint(quadtree, point)],
+          ['searchPolygon', () => Quadtree.searchPolygon(quadtree, [position(0, 0), position(5, 0), point])],
+          ['searchSegment', () => Quadtree.searchSegment(quadtree, position(0, 0), point)],
+          ['nearest', () => Quadtree.nearest(quadtree, point)],
+          ['raycast', () => Quadtree.raycast(quadtree, point, position(1, 0))]
+        ].forEach(([fn, query]) => {
+          const error = thrown(query);
+
+          error.should.be.instanceof(Errors.InvalidArgumentError);
+          error.fn.should.equal(fn);
+        });
+      });
+
+      it('should reject values that are not trees in every function', function(){
+        const quadtree = Quadtree.create(boundary(0, 0, 200, 200));
+
+        [
+          ['collisions', () => Quadtree.collisions({})],
+          ['collisionsWith', () => Quadtree.collisionsWith(quadtree, [])],
+          ['collisionsWith', () => Quadtree.collisionsWith(null, quadtree)],
+          ['stats', () => Quadtree.stats(map())],
+          ['validate', () => Quadtree.validate('tree')]
+        ].forEach(([fn, call]) => {
+          const error = thrown(call);
+
+          error.should.be.instanceof(Errors.InvalidNodeError);
+          error.fn.should.equal(fn);
+        });
+      });
+
+      it('should report ids as invalid items', function(){
+        const quadtree = Quadtree.insert(
+          Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id' }),
+          boundary(5, 5, 1, 1).set('id', 'a')
+        );
+
+        (function(){
+          Quadtree.insert(quadtree, boundary(50, 50, 1, 1));
+        }).should.throw(Errors.InvalidItemError, { message: 'Missing id (in insert)' });
+
+        (function(){
+          Quadtree.insert(quadtree, boundary(50, 50, 1, 1).set('id', 'a'));
+        }).should.throw(Errors.InvalidItemError, { message: 'Duplicate id (in insert)' });
+      });
+
+      it('should skip checks when validation is off', function(){
+        const item = map({ x: 5, y: 5, width: '1', height: 1 });
+
+        (function(){
+          Quadtree.insert(Quadtree.create(boundary(0, 0, 200, 200)), item);
+        }).should.throw(Errors.InvalidItemError);
+
+        const quadtree = Quadtree.insert(Quadtree.create(boundary(0, 0, 200, 200), { validate: false }), item);
+
+        Quadtree.items(quadtree).toArray().should.eql([item]);
+
+        (function(){
+          Quadtree.create(boundary(0, 0, 200, 200), { validate: 'no' });
+        }).should.throw(Errors.InvalidOptionsError);
+      });
+    });
+
+    describe('Accessors', function(){
+      class Sprite {
+        constructor(name, x, y, size) {
+          this.name = name;
+          this.pos = { x, y };
+          this.size = size;
+        }
+      }
+
+      const getBounds = (sprite) => ({
+        x: sprite.pos.x,
+        y: sprite.pos.y,
+        width: sprite.size,
+        height: sprite.size
+      });
+
+      const sprites = [
+        new Sprite('a', 5, 5, 2),
+        new Sprite('b', 60, 10, 4),
+        new Sprite('c', 150, 150, 10),
+        new Sprite('d', 95, 95, 10),
+        new Sprite('e', 20, 180, 3),
+        new Sprite('f', 120, 30, 1)
+      ];
+
+      it('should store plain objects by default', function(){
+        const objects = [
+          { x: 5, y: 5, width: 1, height: 1 },
+          { x: 150, y: 10, width: 2, height: 2 },
+          { x: 30, y: 160, width: 1, height: 1 },
+          { x: 98, y: 98, width: 4, height: 4 },
+          { x: 170, y: 170, width: 1, height: 1 }
+        ];
+
+        const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2), objects);
+        const found = Quadtree.search(quadtree, { x: 0, y: 0, width: 50, height: 50 });
+
+        found.count().should.equal(1);
+        found.first().should.equal(objects[0]);
+
+        const removed = Quadtree.remove(quadtree, objects[3]);
+
+        Quadtree.items(removed).count().should.equal(4);
+        Quadtree.validate(removed).isEmpty().should.be.true();
+      });
+
+      it('should read items with getBounds', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 2, getBounds }),
+          sprites
+        );
+
+        Quadtree.validate(quadtree).isEmpty().should.be.true();
+
+        const found = Quadtree.search(quadtree, boundary(0, 0, 100, 100));
+
+        found.count().should.equal(3);
+        found.every((sprite) => sprite instanceof Sprite).should.be.true();
+        found.includes(sprites[3]).should.be.true();
+
+        Quadtree.nearest(quadtree, position(148, 148)).first().get('item').should.equal(sprites[2]);
+        is(Quadtree.fromItems(boundary(0, 0, 200, 200), sprites, { maxChildren: 2, getBounds }), quadtree)
+          .should.be.true();
+      });
+
+      it('should index and reject items through getBounds', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 2, getBounds, idKey: 'name' }),
+          sprites
+        );
+
+        Quadtree.get(quadtree, 'd').should.equal(sprites[3]);
+        Quadtree.has(Quadtree.removeById(quadtree, 'd'), 'd').should.be.false();
+
+        (function(){
+          Quadtree.insert(quadtree, new Sprite('g', 5, 5, 'big'));
+        }).should.throw(Errors.InvalidItemError);
+
+        (function(){
+          Quadtree.create(boundary(0, 0, 200, 200), { getBounds: 'pos' });
+        }).should.throw(Errors.InvalidOptionsError);
+      });
+
+      it('should save trees of plain objects as JSON', function(){
+        const quadtree = Quadtree.batchInsert(
+          Quadtree.create(boundary(0, 0, 200, 200), { maxChildren: 2, getBounds }),
+          sprites
+        );
+        const json = JSON.parse(JSON.stringify(Quadtree.toJSON(quadtree)));
+        const restored = Quadtree.fromJSON(json, { getBounds });
+
+        Quadtree.items(restored).map((item) => item.name).toArray()
+          .should.eql(Quadtree.items(quadtree).map((item) => item.name).toArray());
+
+        (function(){
+          Quadtree.toBuffer(quadtree);
+        }).should.throw(Errors.InvalidOptionsError);
+      });
+    });
+
+    describe('Events', function(){
+      const range = boundary(0, 0, 200, 200);
+      const summary = (events) => events.map((e) => `${e.get('type')} ${e.get('path').join('/')}`).toArray();
+
+      it('should report inserts, splits and overflows', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(range, 2), [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1)]);
+        const result = Quadtree.insertWithEvents(quadtree, boundary(10, 150, 1, 1));
+
+        summary(result.get('events')).should.eql(['split ', 'insert bottom-left']);
+        is(result.get('tree'), Quadtree.insert(quadtree, boundary(10, 150, 1, 1))).should.be.true();
+        result.get('events').first().get('node').should.equal(result.get('tree'));
+        result.get('events').last().get('item').should.eql(boundary(10, 150, 1, 1));
+
+        const straddling = Quadtree.insertWithEvents(result.get('tree'), boundary(95, 95, 10, 10));
+
+        summary(straddling.get('events')).should.eql(['overflow ', 'insert ']);
+        straddling.get('events').first().get('node').get('overlappingChildren').count().should.equal(1);
+      });
+
+      it('should report items that overflow while a node splits', function(){
+        const quadtree = Quadtree.batchInsert(Quadtree.create(range, 2), [boundary(95, 95, 10, 10), boundary(150, 10, 1, 1)]);
+
+        summary(Quadtree.insertWithEvents(quadtree, boundary(10, 150, 1, 1)).get('events'))
+          .should.eql(['split ', 'overflow ', 'insert bottom-left']);
+      });
+
+      it('should report merges and clears', function(){
+        const items = [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1), boundary(10, 150, 1, 1)];
+        const quadtree = Quadtree.batchInsert(Quadtree.create(range, 2), items);
+
+        summary(Quadtree.removeWithEvents(quadtree, items[1]).get('events')).should.eql(['merge ', 'remove ']);
+        summary(Quadtree.removeWithEvents(quadtree, boundary(1, 1, 1, 1)).get('events')).should.eql([]);
+
+        const cleared = Quadtree.clearWithEvents(quadtree);
+
+        summary(cleared.get('events')).should.eql(['clear ']);
+        Quadtree.items(cleared.get('tree')).count().should.equal(0);
+      });
+
+      it('should report the roots added by growing', function(){
+        const quadtree = Quadtree.create(range, { growable: true });
+
+        summary(Quadtree.insertWithEvents(quadtree, boundary(250, 10, 1, 1)).get('events'))
+          .should.eql(['split ', 'insert top-right']);
+      });
+
+      it('should call onEvent from insert, remove and clear', function(){
+        const events = [];
+        const quadtree = Quadtree.create(range, { maxChildren: 2, onEvent: (e) => { events.push(e); } });
+        const items = [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1), boundary(10, 150, 1, 1)];
+
+        const full = Quadtree.batchInsert(quadtree, items);
+        const batched = Quadtree.batchInsertWithEvents(quadtree, items);
+
+        events.length.should.equal(4);
+        is(list(events), batched.get('events')).should.be.true();
+        is(full, batched.get('tree')).should.be.true();
+
+        Quadtree.clear(Quadtree.remove(full, items[0]));
+
+        summary(list(events).skip(4)).should.eql(['merge ', 'remove ', 'clear ']);
+
+        (function(){
+          Quadtree.create(range, { onEvent: true });
+        }).should.throw(Errors.InvalidOptionsError);
+      });
+
+      it('should only call onEvent for changes made after fromItems', function(){
+        const events = [];
+        const items = [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1), boundary(10, 150, 1, 1)];
+        const quadtree = Quadtree.fromItems(range, items, {
+          maxChildren: 2,
+          onEvent: (e) => { events.push(e); }
+        });
+
+        events.length.should.equal(0);
+
+        Quadtree.remove(quadtree, items[1]);
+
+        summary(list(events)).should.eql(['merge ', 'remove ']);
+      });
+
+      it('should call onEvent for changes made in withMutations', function(){
+        const events = [];
+        const quadtree = Quadtree.create(range, { maxChildren: 2, onEvent: (e) => { events.push(e); } });
+        const items = [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1), boundary(10, 150, 1, 1)];
+
+        const outside = Quadtree.clear(Quadtree.remove(Quadtree.batchInsert(quadtree, items), items[0]));
+        const expected = summary(list(events));
+
+        events.length = 0;
+
+        const mutated = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable.batchInsert(items).remove(items[0]).remove(boundary(1, 1, 1, 1)).clear();
+        });
+
+        summary(list(events)).should.eql(expected);
+        is(mutated, outside).should.be.true();
+      });
+
+      it('should not let onEvent change the tree withMutations returns', function(){
+        const counts = [];
+        const quadtree = Quadtree.create(range, {
+          maxChildren: 2,
+          onEvent: (e) => {
+            counts.push(e.get('node').get('children').count());
+            e.get('node').set('children', list());
+          }
+        });
+        const items = [boundary(5, 5, 1, 1), boundary(150, 10, 1, 1)];
+
+        const mutated = Quadtree.withMutations(quadtree, (mutable) => {
+          mutable.batchInsert(items);
+        });
+
+        // Each event shows its node as that change left it
+        counts.should.eql([1, 2]);
+        Quadtree.items(mutated).count().should.equal(2);
+      });
+    });
+
+    describe('Rays', function(){
+      const items = [
+        boundary(20, 95, 10, 10),
+        boundary(60, 90, 5, 20),
+        boundary(150, 98, 4, 4),
+        boundary(100, 20, 10, 10),
+        boundary(30, 150, 2, 2),
+        boundary(170, 170, 6, 6)
+      ];
+
+      const tree = () => Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2), items);
+
+      it('should find the first item a ray hits', function(){
+        const hit = Quadtree.raycast(tree(), position(0, 100), position(1, 0));
+
+        hit.get('item').should.equal(items[0]);
+        hit.get('distance').should.equal(20);
+        hit.get('point').toJS().should.eql({ x: 20, y: 100 });
+
+        Quadtree.raycast(tree(), position(200, 100), position(-1, 0)).get('item').should.equal(items[2]);
+        should(Quadtree.raycast(tree(), position(0, 100), position(1, 0), { maxDistance: 10 })).be.undefined();
+        should(Quadtree.raycast(tree(), position(0, 0), position(0, 1))).be.undefined();
+      });
+
+      it('should find every item a ray hits, nearest first', function(){
+        const hits = Quadtree.raycast(tree(), position(0, 100), position(1, 0), { all: true });
+
+        hits.map((hit) => hit.get('item')).toArray().should.eql([items[0], items[1], items[2]]);
+        hits.map((hit) => hit.get('distance')).toArray().should.eql([20, 60, 150]);
+
+        Quadtree.raycast(tree(), position(0, 100), position(1, 0), { all: true, maxDistance: 100 })
+          .count().should.equal(2);
+
+        Quadtree.raycast(tree(), position(0, 0), position(1, 1), { all: true })
+          .map((hit) => hit.get('item')).toArray().should.eql([items[5]]);
+      });
+
+      it('should skip quadrants the ray misses', function(){
+        const quadtree = tree();
+        // Reading the items of this quadrant would throw
+        const poisoned = quadtree.setIn(['quadrants', 'top-right', 'children'], null);
+
+        Quadtree.raycast(poisoned, position(0, 150), position(1, 0), { all: true })
+          .map((hit) => hit.get('item')).toArray().should.eql([items[4]]);
+
+        (function(){
+          Quadtree.raycast(quadtree, position(0, 0), position(0, 0));
+        }).should.throw(Errors.InvalidArgumentError);
+      });
+
+      it('should find the items a segment crosses', function(){
+        Quadtree.searchSegment(tree(), position(0, 100), position(100, 100)).toSet()
+          .equals(list.of(items[0], items[1]).toSet()).should.be.true();
+
+        Quadtree.searchSegment(tree(), position(105, 0), position(105, 10)).count().should.equal(0);
+        Quadtree.searchSegment(tree(), position(105, 0), position(105, 25)).first().should.equal(items[3]);
+      });
+    });
+
+    describe('Sweeps', function(){
+      const walls = [
+        boundary(50, 0, 2, 100),
+        boundary(120, 0, 2, 100),
+        boundary(80, 40, 4, 4),
+        boundary(0, 150, 200, 2),
+        boundary(170, 170, 5, 5)
+      ];
+
+      const tree = () => Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2), walls);
+
+      it('should find what a moving item hits, earliest first', function(){
+        const bullet = boundary(0, 40, 1, 1).merge({ vx: 1000, vy: 0 });
+        const hits = Quadtree.sweep(tree(), bullet, 0.2);
+
+        hits.map((hit) => hit.get('item')).toArray().should.eql([walls[0], walls[2], walls[1]]);
+        hits.map((hit) => hit.get('time')).toArray().should.eql([0.049, 0.079, 0.119]);
+
+        // A search at the end of the interval misses all of them
+        Quadtree.search(tree(), boundary(200, 40, 1, 1)).count().should.equal(0);
+        Quadtree.sweep(tree(), bullet, 0.01).count().should.equal(0);
+      });
+
+      it('should treat items without a velocity as standing still', function(){
+        Quadtree.sweep(tree(), boundary(10, 10, 5, 5), 1).count().should.equal(0);
+        Quadtree.sweep(tree(), boundary(49, 10, 5, 5), 1).first().get('time').should.equal(0);
+      });
+
+      it('should not hit an item it only touches while moving away', function(){
+        const leaving = boundary(45, 10, 5, 5).merge({ vx: -100, vy: 0 });
+        const arriving = boundary(45, 10, 5, 5).merge({ vx: 100, vy: 0 });
+
+        Quadtree.sweep(tree(), leaving, 1).count().should.equal(0);
+        Quadtree.sweep(tree(), arriving, 0.1).first().get('item').should.equal(walls[0]);
+        Quadtree.sweep(tree(), arriving, 0.1).first().get('time').should.equal(0);
+      });
+
+      it('should not hit the item itself or filtered items', function(){
+        const bullet = boundary(0, 40, 1, 1).merge({ vx: 1000, vy: 0 });
+        const quadtree = Quadtree.insert(tree(), bullet);
+
+        Quadtree.sweep(quadtree, bullet, 0.2, { filter: (item) => item !== walls[2] })
+          .map((hit) => hit.get('item')).toArray().should.eql([walls[0], walls[1]]);
+
+        (function(){
+          Quadtree.sweep(quadtree, bullet, -1);
+        }).should.throw(Errors.InvalidArgumentError);
+      });
+    });
+
+    describe('Aggregates', function(){
+      const weight = {
+        initial: 0,
+        reduce: (total, item) => total + item.get('weight'),
+        combine: (a, b) => a + b
+      };
+
+      const items = [
+        boundary(10, 10, 5, 5).set('weight', 1),
+        boundary(20, 20, 5, 5).set('weight', 2),
+        boundary(110, 10, 5, 5).set('weight', 3),
+        boundary(120, 120, 5, 5).set('weight', 4),
+        boundary(90, 90, 20, 20).set('weight', 5)
+      ];
+
+      const tree = () => Quadtree.fromItems(boundary(0, 0, 200, 200), items, {
+        maxChildren: 1,
+        aggregates: { weight }
+      });
+
+      it('should keep a summary on every node', function(){
+        const quadtree = tree();
+
+        quadtree.get('summary').toObject().should.eql({ weight: 15, count: 5 });
+        quadtree.getIn(['quadrants', 'top-left', 'summary']).toObject()
+          .should.eql({ weight: 3, count: 2 });
+        Quadtree.validate(quadtree).count().should.equal(0);
+      });
+
+      it('should update summaries on insert, remove and clear', function(){
+        const inserted = Quadtree.insert(tree(), boundary(30, 30, 5, 5).set('weight', 10));
+        const removed = Quadtree.remove(inserted, items[0]);
+
+        inserted.get('summary').toObject().should.eql({ weight: 25, count: 6 });
+        removed.get('summary').toObject().should.eql({ weight: 24, count: 5 });
+        Quadtree.clear(removed).get('summary').toObject().should.eql({ weight: 0, count: 0 });
+        Quadtree.validate(removed).count().should.equal(0);
+
+        const mutated = Quadtree.withMutations(tree(), (mutable) => {
+          mutable.remove(items[4]);
+        });
+
+        mutated.get('summary').toObject().should.eql({ weight: 10, count: 4 });
+        Quadtree.validate(mutated).count().should.equal(0);
+      });
+
+      it('should fold changes into the summaries along their path', function(){
+        // A stale summary off the path shows that inserting never reads it
+        const stale = tree().setIn(['quadrants', 'top-left', 'summary', 'weight'], 100);
+        const inserted = Quadtree.insert(stale, boundary(150, 150, 5, 5).set('weight', 10));
+
+        inserted.getIn(['summary', 'weight']).should.equal(25);
+        inserted.getIn(['quadrants', 'bottom-right', 'summary', 'weight']).should.equal(14);
+
+        // Removing recombines the cached summaries on the way back up
+        const removed = Quadtree.remove(Quadtree.insert(tree(), boundary(150, 150, 5, 5).set('weight', 10)), items[3]);
+
+        removed.get('summary').toObject().should.eql({ weight: 21, count: 5 });
+        Quadtree.validate(removed).count().should.equal(0);
+
+        // Removing a missing item changes nothing
+        const quadtree = tree();
+
+        Quadtree.remove(quadtree, boundary(50, 50, 5, 5).set('weight', 1)).should.equal(quadtree);
+      });
+
+      it('should count and aggregate items in a region', function(){
+        const region = boundary(0, 0, 100, 100);
+
+        Quadtree.count(tree()).should.equal(5);
+        Quadtree.count(tree(), region).should.equal(3);
+        Quadtree.count(tree(), region).should.equal(Quadtree.search(tree(), region).count());
+        Quadtree.aggregate(tree(), 'weight', region).should.equal(8);
+        Quadtree.aggregate(tree(), 'count', region).should.equal(3);
+
+        // Trees without aggregates still count, just without the cache
+        const plain = Quadtree.fromItems(boundary(0, 0, 200, 200), items, { maxChildren: 1 });
+
+        Quadtree.count(plain, region).should.equal(3);
+
+        (function(){
+          Quadtree.aggregate(plain, 'weight');
+        }).should.throw(Errors.InvalidArgumentError);
+      });
+
+      it('should use the summary of nodes inside the region', function(){
+        // A stale summary shows whether the cached value was read
+        const quadtree = tree().setIn(['quadrants', 'top-left', 'summary', 'count'], 100);
+
+        Quadtree.count(quadtree, boundary(-1, -1, 120, 120)).should.equal(102);
+        Quadtree.count(quadtree, boundary(0, 0, 50, 50)).should.equal(2);
+      });
+
+      it('should build a density grid', function(){
+        Quadtree.densityGrid(tree(), 2, 2).toJS().should.eql([[3, 2], [1, 2]]);
+        Quadtree.densityGrid(tree(), 1, 1).toJS().should.eql([[5]]);
+
+        // Points on the edge between cells are counted once, in the cell
+        //   after the edge, and points on the tree's far edge in the last cell
+        const points = Quadtree.fromItems(
+          boundary(0, 0, 100, 100),
+          [position(10, 10), position(50, 10), position(70, 70), position(100, 100)]
+            .map((p) => p.set('weight', 1)),
+          { mode: 'point', maxChildren: 1, aggregates: { weight } }
+        );
+
+        Quadtree.densityGrid(points, 2, 2).toJS().should.eql([[1, 1], [0, 2]]);
+        Quadtree.densityGrid(points, 4, 4).toJS()
+          .reduce((acc, row) => acc + row.reduce((a, b) => a + b, 0), 0)
+          .should.equal(4);
+
+        (function(){
+          Quadtree.densityGrid(tree(), 0, 2);
+        }).should.throw(Errors.InvalidArgumentError);
+      });
+
+      it('should reject malformed aggregates', function(){
+        (function(){
+          Quadtree.create(boundary(0, 0, 10, 10), 4, 4, { aggregates: { weight: {} } });
+        }).should.throw(Errors.InvalidOptionsError);
+
+        (function(){
+          Quadtree.create(boundary(0, 0, 10, 10), 4, 4, { aggregates: { count: weight } });
+        }).should.throw(Errors.InvalidOptionsError);
+      });
+
+      it('should rebuild summaries when restoring a tree', function(){
+        const json = Quadtree.toJSON(tree());
+        const restored = Quadtree.fromJSON(json, { aggregates: { weight } });
+
+        should.not.exist(json.options.aggregates);
+        restored.get('summary').toObject().should.eql({ weight: 15, count: 5 });
+        Quadtree.validate(restored).count().should.equal(0);
+      });
+    });
+
+    describe('Categories', function(){
+      const TERRAIN = 1;
+      const UNITS = 2;
+      const PICKUPS = 4;
+
+      const items = [
+        boundary(10, 10, 80, 80).set('layer', TERRAIN),
+        boundary(20, 20, 5, 5).set('layer', UNITS),
+        boundary(30, 30, 5, 5).set('layer', PICKUPS),
+        boundary(110, 110, 5, 5).set('layer', UNITS | PICKUPS),
+        boundary(150, 150, 5, 5).set('layer', TERRAIN),
+        boundary(22, 22, 5, 5)
+      ];
+
+      const tree = () => Quadtree.fromItems(boundary(0, 0, 200, 200), items, {
+        maxChildren: 1,
+        categoryKey: 'layer'
+      });
+
+      it('should keep the union of categories on every node', function(){
+        const quadtree = tree();
+
+        quadtree.get('mask').should.equal(TERRAIN | UNITS | PICKUPS);
+        quadtree.getIn(['quadrants', 'bottom-right', 'mask']).should.equal(TERRAIN | UNITS | PICKUPS);
+        quadtree.getIn(['quadrants', 'top-right', 'mask']).should.equal(0);
+
+        const removed = Quadtree.remove(quadtree, items[3]);
+
+        removed.getIn(['quadrants', 'bottom-right', 'mask']).should.equal(TERRAIN);
+        Quadtree.validate(removed).count().should.equal(0);
+      });
+
+      it('should only find items in the mask', function(){
+        const region = boundary(0, 0, 200, 200);
+
+        Quadtree.search(tree(), region, { mask: UNITS }).toArray()
+          .should.eql([items[1], items[3]]);
+        Quadtree.search(tree(), region, { mask: UNITS | TERRAIN }).count().should.equal(4);
+        Quadtree.search(tree(), region).count().should.equal(items.length);
+        Quadtree.searchPoint(tree(), position(23, 23), { mask: UNITS }).toArray()
+          .should.eql([items[1]]);
+
+        Quadtree.nearest(tree(), position(100, 100), 1, { mask: PICKUPS })
+          .first().get('item').should.equal(items[3]);
+        Quadtree.raycast(tree(), position(0, 0), position(1, 1), { mask: TERRAIN })
+          .get('item').should.equal(items[0]);
+      });
+
+      it('should skip quadrants with nothing in the mask', function(){
+        // A stale mask shows whether the quadrant was visited
+        const quadtree = tree().setIn(['quadrants', 'bottom-right', 'mask'], TERRAIN);
+
+        Quadtree.search(quadtree, boundary(100, 100, 100, 100), { mask: UNITS }).count()
+          .should.equal(0);
+        Quadtree.nearest(quadtree, position(110, 110), 1, { mask: UNITS })
+          .first().get('item').should.equal(items[1]);
+      });
+
+      it('should only pair items that are both in the mask', function(){
+        const pairs = (mask) => Quadtree.collisions(tree(), { mask })
+          .map((pair) => pair.toSet())
+          .toSet();
+
+        pairs(undefined).count().should.equal(4);
+        pairs(UNITS | PICKUPS).count().should.equal(0);
+        pairs(TERRAIN | PICKUPS).equals(set.of(set.of(items[0], items[2]))).should.equal(true);
+      });
+
+      it('should reject masks and categories it cannot use', function(){
+        (function(){
+          Quadtree.search(
+            Quadtree.create(boundary(0, 0, 10, 10)),
+            boundary(0, 0, 10, 10),
+            { mask: UNITS }
+          );
+        }).should.throw(Errors.InvalidArgumentError);
+
+        (function(){
+          Quadtree.search(tree(), boundary(0, 0, 10, 10), { mask: 'units' });
+        }).should.throw(Errors.InvalidArgumentError);
+
+        (function(){
+          Quadtree.insert(tree(), boundary(0, 0, 1, 1).set('layer', 'units'));
+        }).should.throw(Errors.InvalidItemError);
+      });
+    });
   });
 });
@@ -0,0 +1,134 @@
+import {assert} from 'chai';
+import should from 'should';
+import { is } from 'immutable';
+
+import Quadtree from './../lib/modules/quadtree.js';
+import RegionQuadtree from './../lib/modules/region.js';
+
+'use strict';
+
+describe('RegionQuadtree', function(){
+  // 0 is open floor, 1 is wall
+  const grid = [
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [1, 1, 0, 1],
+    [1, 1, 0, 0]
+  ];
+
+  const leafCount = (tree) => RegionQuadtree.leaves(tree).count();
+
+  it('should collapse uniform quadrants into single leaves', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+
+    // Two uniform top quadrants, a uniform bottom-left and 4 single cells
+    leafCount(tree).should.equal(7);
+    tree.getIn(['quadrants', 'top-left', 'value']).should.equal(0);
+    tree.getIn(['quadrants', 'bottom-left', 'value']).should.equal(1);
+    Quadtree.validate(tree).count().should.equal(0);
+
+    leafCount(RegionQuadtree.fromGrid([[5, 5], [5, 5]])).should.equal(1);
+  });
+
+  it('should read back every cell', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+
+    RegionQuadtree.valueAt(tree, 0, 2).should.equal(1);
+    RegionQuadtree.valueAt(tree, 3, 2).should.equal(1);
+    RegionQuadtree.valueAt(tree, 3, 3).should.equal(0);
+    RegionQuadtree.toGrid(tree).should.eql(grid);
+  });
+
+  it('should handle grids that are not a power of two square', function(){
+    const uneven = [[1, 2, 3], [4, 5, 6]];
+    const tree = RegionQuadtree.fromGrid(uneven);
+
+    RegionQuadtree.toGrid(tree).should.eql(uneven);
+    RegionQuadtree.leaves(tree).count().should.equal(6);
+
+    (function(){
+      RegionQuadtree.valueAt(tree, 3, 0);
+    }).should.throw(Quadtree.OutOfBoundsError);
+
+    (function(){
+      RegionQuadtree.fromGrid([[1, 2], [3]]);
+    }).should.throw(Quadtree.InvalidItemError);
+  });
+
+  it('should reject cell coordinates that are not integers', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+
+    (function(){
+      RegionQuadtree.valueAt(tree, 0.5, 0);
+    }).should.throw(Quadtree.InvalidArgumentError);
+
+    (function(){
+      RegionQuadtree.setCell(tree, 0, '1', 1);
+    }).should.throw(Quadtree.InvalidArgumentError);
+
+    (function(){
+      RegionQuadtree.fillRect(tree, 0, 0, -1, 2, 1);
+    }).should.throw(Quadtree.InvalidArgumentError);
+  });
+
+  it('should set cells, dividing and collapsing leaves', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+    const opened = RegionQuadtree.setCell(tree, 3, 2, 0);
+
+    RegionQuadtree.valueAt(opened, 3, 2).should.equal(0);
+    opened.getIn(['quadrants', 'bottom-right', 'value']).should.equal(0);
+    leafCount(opened).should.equal(4);
+
+    const walled = RegionQuadtree.setCell(opened, 1, 1, 1);
+
+    RegionQuadtree.valueAt(walled, 1, 1).should.equal(1);
+    RegionQuadtree.valueAt(walled, 0, 0).should.equal(0);
+    leafCount(walled).should.equal(7);
+
+    // Setting a cell to the value it has changes nothing
+    RegionQuadtree.setCell(tree, 0, 0, 0).should.equal(tree);
+    RegionQuadtree.valueAt(tree, 3, 2).should.equal(1);
+  });
+
+  it('should fill rectangles, clipped to the grid', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+    const filled = RegionQuadtree.fillRect(tree, 1, 1, 10, 10, 2);
+
+    RegionQuadtree.toGrid(filled).should.eql([
+      [0, 0, 0, 0],
+      [0, 2, 2, 2],
+      [1, 2, 2, 2],
+      [1, 2, 2, 2]
+    ]);
+
+    leafCount(RegionQuadtree.fillRect(tree, 0, 0, 4, 4, 9)).should.equal(1);
+    is(RegionQuadtree.fillRect(filled, 1, 1, 3, 3, 0), RegionQuadtree.fromGrid([
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [1, 0, 0, 0],
+      [1, 0, 0, 0]
+    ])).should.equal(true);
+  });
+
+  it('should find the leaves sharing an edge with a leaf', function(){
+    const tree = RegionQuadtree.fromGrid(grid);
+    const cell = RegionQuadtree.leafAt(tree, 2, 2);
+    const around = RegionQuadtree.neighbors(tree, cell)
+      .map((leaf) => leaf.get('boundary').toObject())
+      .toArray();
+
+    // The top-right quadrant above, the bottom-left quadrant to the left,
+    //   and the single cells to the right and below
+    around.should.have.length(4);
+    around.should.containEql({ x: 2, y: 0, width: 2, height: 2 });
+    around.should.containEql({ x: 0, y: 2, width: 2, height: 2 });
+    around.should.containEql({ x: 3, y: 2, width: 1, height: 1 });
+    around.should.containEql({ x: 2, y: 3, width: 1, height: 1 });
+
+    // Big leaves neighbour every small leaf along their edge,
+    //   but not the one that only touches their corner
+    const big = RegionQuadtree.leafAt(tree, 0, 0);
+
+    RegionQuadtree.neighbors(tree, big).count().should.equal(2);
+  });
+});
@@ -0,0 +1,173 @@
+import {assert} from 'chai';
+import should from 'should';
+import { is, Map as map } from 'immutable';
+
+import boundary from './../lib/structs/boundary.js';
+import position from './../lib/structs/position.js';
+import Quadtree from './../lib/modules/quadtree.js';
+
+'use strict';
+
+describe('Serialization', function(){
+  const items = [
+    boundary(5, 6, 1, 2),
+    boundary(67, 24, 1, 1),
+    boundary(149, 121, 2, 1),
+    boundary(189, 76, 1, 1),
+    boundary(25, 195, 1, 2),
+    boundary(99, 0, 5, 2),
+    boundary(64, 120, 5, 7),
+    boundary(112, 57, 2, 2),
+    boundary(49, 49, 2, 2).set('name', 'crate').set('tags', map({ heavy: true, label: 'ünïcødé' }))
+  ];
+
+  describe('JSON', function(){
+    it('should restore an equal tree', function(){
+      const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2, 6), items);
+
+      const json = JSON.parse(JSON.stringify(Quadtree.toJSON(quadtree)));
+      const restored = Quadtree.fromJSON(json);
+
+      is(restored, quadtree).should.equal(true);
+      restored.get('maxChildren').should.equal(2);
+      restored.get('maxDepth').should.equal(6);
+    });
+
+    it('should restore options and the id index', function(){
+      const entities = items.map((item, i) => item.set('id', i));
+      const quadtree = Quadtree.batchInsert(
+        Quadtree.create(boundary(0, 0, 200, 200), { idKey: 'id', loose: 1.5 }),
+        entities
+      );
+
+      const restored = Quadtree.fromJSON(Quadtree.toJSON(quadtree));
+
+      is(restored, quadtree).should.equal(true);
+      is(Quadtree.get(restored, 8), entities[8]).should.equal(true);
+    });
+
+    it('should reject malformed input', function(){
+      const json = Quadtree.toJSON(Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items));
+
+      (function(){
+        Quadtree.fromJSON('tree');
+      }).should.throw(/expected an object/);
+
+      (function(){
+        Quadtree.fromJSON(Object.assign({}, json, { version: 99 }));
+      }).should.throw(/unsupported version 99/);
+
+      const broken = JSON.parse(JSON.stringify(json));
+      delete broken.root.quadrants['top-left'].boundary;
+
+      (function(){
+        Quadtree.fromJSON(broken);
+      }).should.throw(/missing boundary at top-left/);
+
+      const badItem = JSON.parse(JSON.stringify(json));
+      badItem.root.overlappingChildren.push({ x: 1 });
+
+      (function(){
+        Quadtree.fromJSON(badItem);
+      }).should.throw(/overlappingChildren must only hold items/);
+    });
+  });
+
+  describe('Buffer', function(){
+    it('should restore an equal tree', function(){
+      const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2, 6), items);
+
+      const buffer = Quadtree.toBuffer(quadtree);
+      const restored = Quadtree.fromBuffer(buffer);
+
+      buffer.should.be.instanceof(ArrayBuffer);
+      is(restored, quadtree).should.equal(true);
+    });
+
+    it('should be smaller than JSON', function(){
+      const quadtree = Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items.slice(0, 8));
+
+      Quadtree.toBuffer(quadtree).byteLength.should.be.below(JSON.stringify(Quadtree.toJSON(quadtree)).length);
+    });
+
+    it('should restore point trees and grown roots', function(){
+      const points = Quadtree.batchInsert(
+        Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point', growable: true, idKey: 'id' }),
+        [position(5, 5).set('id', 'a'), position(150, 20).set('id', 'b'), position(-20, 300).set('id', 'c')]
+      );
+
+      const restored = Quadtree.fromBuffer(new Uint8Array(Quadtree.toBuffer(points)));
+
+      restored.get('depth').should.equal(-1);
+      is(restored, points).should.equal(true);
+    });
+
+    it('should store strings as utf-8', function(){
+      const label = 'a é € 🚀';
+      const quadtree = Quadtree.insert(Quadtree.create(boundary(0, 0, 200, 200)), boundary(5, 5, 1, 1).set('label', label));
+      const bytes = Buffer.from(Quadtree.toBuffer(quadtree));
+
+      bytes.indexOf(Buffer.from(label, 'utf8')).should.be.above(-1);
+      Quadtree.items(Quadtree.fromBuffer(bytes)).first().get('label').should.equal(label);
+    });
+
+    it('should reject items the tree could not hold', function(){
+      const single = Quadtree.insert(Quadtree.create(boundary(0, 0, 200, 200)), boundary(5, 5, 1, 1));
+      const buffer = Quadtree.toBuffer(single);
+
+      // The item's x comes after the header, the sizes, '{}', the root's
+      //   boundary, its flags and count, and the item's flags
+      const garbled = buffer.slice(0);
+      new DataView(garbled).setFloat64(4 + 12 + 4 + 2 + 32 + 1 + 4 + 1, NaN, true);
+
+      (function(){
+        Quadtree.fromBuffer(garbled);
+      }).should.throw(/children must only hold items with a x, y, width, height at the root/);
+
+      const points = Quadtree.insert(Quadtree.create(boundary(0, 0, 200, 200), { mode: 'point' }), position(5, 5));
+
+      (function(){
+        Quadtree.fromBuffer(Quadtree.toBuffer(points), { mode: 'boundary' });
+      }).should.throw(Quadtree.InvalidNodeError);
+    });
+
+    it('should pass back options that can not be stored', function(){
+      const filter = () => true;
+      const quadtree = Quadtree.create(boundary(0, 0, 200, 200), { filter });
+
+      Quadtree.toJSON(quadtree).options.should.eql({});
+      Quadtree.fromBuffer(Quadtree.toBuffer(quadtree), { filter }).get('options').get('filter').should.equal(filter);
+    });
+
+    it('should reject malformed input', function(){
+      const buffer = Quadtree.toBuffer(Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200)), items));
+
+      (function(){
+        Quadtree.fromBuffer(new ArrayBuffer(8));
+      }).should.throw(/not a quadtree buffer/);
+
+      (function(){
+        Quadtree.fromBuffer(buffer.slice(0, buffer.byteLength - 3));
+      }).should.throw(/unexpected end of buffer/);
+
+      const versioned = buffer.slice(0);
+      new Uint8Array(versioned)[3] = 7;
+
+      (function(){
+        Quadtree.fromBuffer(versioned);
+      }).should.throw(/unsupported version 7/);
+
+      (function(){
+        Quadtree.fromBuffer('buffer');
+      }).should.throw(/expected an ArrayBuffer/);
+
+      // The options are stored after the 4 byte header and 3 numbers
+      const garbled = buffer.slice(0);
+      new Uint8Array(garbled)[20] = 0xff;
+
+      (function(){
+        Quadtree.fromBuffer(garbled);
+      }).should.throw(/invalid utf-8 string/);
+    });
+  });
+});
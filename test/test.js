@@ -2,3 +2,9 @@ import './position.js';
 import './boundary.js';
 import './node.js';
 import './quadtree.js';
+import './serialization.js';
+import './traversal.js';
+import './history.js';
+import './facade.js';
+import './octree.js';
+import './region.js';
@@ -0,0 +1,95 @@
+import {assert} from 'chai';
+import should from 'should';
+import { Map as map } from 'immutable';
+
+import boundary from './../lib/structs/boundary.js';
+import Quadtree from './../lib/modules/quadtree.js';
+
+'use strict';
+
+describe('Traversal', function(){
+  const items = [
+    boundary(5, 6, 1, 2),
+    boundary(67, 24, 1, 1),
+    boundary(149, 121, 2, 1),
+    boundary(189, 76, 1, 1),
+    boundary(25, 195, 1, 2),
+    boundary(99, 0, 5, 2),
+    boundary(64, 120, 5, 7),
+    boundary(112, 57, 2, 2),
+    boundary(49, 49, 2, 2)
+  ];
+
+  const tree = () => Quadtree.batchInsert(Quadtree.create(boundary(0, 0, 200, 200), 2, 4), items);
+
+  describe('Module', function(){
+    it('should list every item', function(){
+      const all = Quadtree.items(tree());
+
+      all.count().should.equal(items.length);
+      all.toSet().equals(Quadtree.search(tree(), boundary(0, 0, 200, 200)).toSet()).should.equal(true);
+    });
+
+    it('should list every node in pre-order', function(){
+      const quadtree = tree();
+      const nodes = Quadtree.nodes(quadtree).toList();
+
+      nodes.first().should.equal(quadtree);
+      nodes.get(1).should.equal(quadtree.get('quadrants').get('top-left'));
+      nodes.count().should.equal(1 + 4 + 4);
+      nodes.count().should.equal(Quadtree.nodes(quadtree).count());
+    });
+
+    it('should be lazy', function(){
+      // Reading the quadrants of this tree would throw
+      const broken = tree().setIn(['quadrants', 'top-left'], map());
+
+      Quadtree.nodes(broken).first().get('depth').should.equal(0);
+      Quadtree.items(broken).first().should.equal(items[5]);
+    });
+
+    it('should traverse nodes in each order', function(){
+      const visit = (order) => {
+        const visited = [];
+        Quadtree.traverse(tree(), (n, path, depth) => {
+          path.count().should.equal(depth);
+          visited.push(path.join('/'));
+        }, { order });
+        return visited;
+      };
+
+      const pre = visit('pre');
+      const post = visit('post');
+      const bfs = visit('bfs');
+
+      pre[0].should.equal('');
+      pre[1].should.equal('top-left');
+      pre[2].should.equal('top-left/top-left');
+      post[post.length - 1].should.equal('');
+      post[0].should.equal('top-left/top-left');
+      bfs.slice(0, 5).should.eql(['', 'top-left', 'top-right', 'bottom-left', 'bottom-right']);
+      pre.slice().sort().should.eql(bfs.slice().sort());
+    });
+
+    it('should skip subtrees when the visitor returns false', function(){
+      const visited = [];
+
+      Quadtree.traverse(tree(), (n, path) => {
+        visited.push(path.join('/'));
+        return path.first() !== 'top-left';
+      });
+
+      visited.filter((p) => p.indexOf('top-left/') === 0).length.should.equal(0);
+      visited.length.should.equal(5);
+      visited.should.containEql('top-left');
+    });
+
+    it('should map, filter and reduce items', function(){
+      const quadtree = tree();
+
+      Quadtree.map(quadtree, (item) => item.get('width')).reduce((a, b) => a + b).should.equal(20);
+      Quadtree.filter(quadtree, (item) => item.get('x') > 100).count().should.equal(3);
+      Quadtree.reduce(quadtree, (acc, item) => acc + item.get('height'), 0).should.equal(20);
+    });
+  });
+});